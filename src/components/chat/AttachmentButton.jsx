@@ -0,0 +1,38 @@
+import React, { useRef } from 'react';
+import { Paperclip } from 'lucide-react';
+import { ATTACHMENT_TYPES } from '../../services/chatService';
+
+const ACCEPT = Object.keys(ATTACHMENT_TYPES).join(',');
+
+/**
+ * Paperclip button that opens the file picker for images and documents.
+ */
+export default function AttachmentButton({ onSelect, disabled, accent = 'indigo' }) {
+  const inputRef = useRef(null);
+
+  return (
+    <>
+      <button
+        type="button"
+        onClick={() => inputRef.current?.click()}
+        disabled={disabled}
+        className={`p-2 rounded-full text-gray-400 transition-colors disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-100 dark:hover:bg-zinc-800 ${accent === 'emerald' ? 'hover:text-emerald-500' : 'hover:text-indigo-500'}`}
+        title="Attach image or file"
+      >
+        <Paperclip size={20} />
+      </button>
+      <input
+        ref={inputRef}
+        type="file"
+        accept={ACCEPT}
+        className="hidden"
+        onChange={(e) => {
+          const file = e.target.files?.[0];
+          // Reset so picking the same file again still fires onChange
+          e.target.value = '';
+          if (file) onSelect(file);
+        }}
+      />
+    </>
+  );
+}
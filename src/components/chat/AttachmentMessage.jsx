@@ -0,0 +1,162 @@
+import React, { useState, useEffect } from 'react';
+import { FileText, Download, Loader2, ImageOff, X } from 'lucide-react';
+import { chatService } from '../../services/chatService';
+
+const MAX_THUMB_WIDTH = 240;
+const MAX_THUMB_HEIGHT = 320;
+
+const formatFileSize = (bytes) => {
+  if (!bytes) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Scale stored dimensions down to the thumbnail box so layout doesn't jump when it loads
+const thumbSize = ({ width, height } = {}) => {
+  if (!width || !height) return { width: MAX_THUMB_WIDTH, height: 180 };
+  const scale = Math.min(1, MAX_THUMB_WIDTH / width, MAX_THUMB_HEIGHT / height);
+  return { width: Math.round(width * scale), height: Math.round(height * scale) };
+};
+
+function ImageLightbox({ url, name, downloadPath, onClose }) {
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [onClose]);
+
+  const handleDownload = async (e) => {
+    e.stopPropagation();
+    const downloadUrl = await chatService.getAttachmentUrl(downloadPath, name || true);
+    if (downloadUrl) window.location.assign(downloadUrl);
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/90 p-4 animate-in fade-in duration-200"
+      onClick={onClose}
+    >
+      <div className="absolute top-4 right-4 flex items-center gap-2">
+        <button
+          type="button"
+          onClick={handleDownload}
+          className="p-2 text-white/80 hover:text-white hover:bg-white/10 rounded-full transition-colors"
+          title="Download"
+        >
+          <Download size={22} />
+        </button>
+        <button
+          type="button"
+          onClick={onClose}
+          className="p-2 text-white/80 hover:text-white hover:bg-white/10 rounded-full transition-colors"
+          title="Close"
+        >
+          <X size={22} />
+        </button>
+      </div>
+      <img
+        src={url}
+        alt={name || 'Image'}
+        className="max-w-full max-h-full object-contain rounded-lg shadow-2xl"
+        onClick={(e) => e.stopPropagation()}
+      />
+    </div>
+  );
+}
+
+/**
+ * Body of an image or file message. Content is the storage path; the signed URL is
+ * created on mount like AudioPlayer does for voice notes.
+ */
+export default function AttachmentMessage({ path, type, metadata: rawMetadata, isOwn = false }) {
+  const metadata = rawMetadata || {};
+  const [url, setUrl] = useState(null);
+  const [error, setError] = useState(false);
+  const [lightboxOpen, setLightboxOpen] = useState(false);
+
+  useEffect(() => {
+    if (!path || type !== 'image') return;
+    let cancelled = false;
+
+    chatService.getAttachmentUrl(path).then(signedUrl => {
+      if (cancelled) return;
+      if (signedUrl) setUrl(signedUrl);
+      else setError(true);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [path, type]);
+
+  if (type === 'image') {
+    const size = thumbSize(metadata);
+
+    if (error) {
+      return (
+        <div className="flex items-center gap-2 p-3 text-xs opacity-70" style={{ width: size.width }}>
+          <ImageOff size={16} />
+          Image unavailable
+        </div>
+      );
+    }
+
+    return (
+      <>
+        <button
+          type="button"
+          onClick={() => url && setLightboxOpen(true)}
+          className="block -mx-2 my-0.5 rounded-xl overflow-hidden bg-black/5 dark:bg-white/5"
+          style={size}
+        >
+          {url ? (
+            <img src={url} alt={metadata.name || 'Image'} className="w-full h-full object-cover" onError={() => setError(true)} />
+          ) : (
+            <span className="w-full h-full flex items-center justify-center">
+              <Loader2 size={20} className="animate-spin opacity-50" />
+            </span>
+          )}
+        </button>
+        {lightboxOpen && (
+          <ImageLightbox
+            url={url}
+            name={metadata.name}
+            downloadPath={path}
+            onClose={() => setLightboxOpen(false)}
+          />
+        )}
+      </>
+    );
+  }
+
+  const handleDownload = async () => {
+    const downloadUrl = await chatService.getAttachmentUrl(path, metadata.name || true);
+    if (downloadUrl) window.location.assign(downloadUrl);
+    else setError(true);
+  };
+
+  return (
+    <button
+      type="button"
+      onClick={handleDownload}
+      className={`flex items-center gap-3 w-full min-w-[200px] max-w-[280px] p-2 rounded-xl text-left transition-colors ${isOwn
+        ? 'bg-white/15 hover:bg-white/25'
+        : 'bg-gray-100 hover:bg-gray-200 dark:bg-zinc-900/60 dark:hover:bg-zinc-900'
+        }`}
+    >
+      <span className={`w-10 h-10 flex-shrink-0 rounded-lg flex items-center justify-center ${isOwn ? 'bg-white/20' : 'bg-white dark:bg-zinc-800'}`}>
+        <FileText size={20} />
+      </span>
+      <span className="flex-1 min-w-0">
+        <span className="block text-sm font-medium truncate">{metadata.name || 'File'}</span>
+        <span className="block text-xs opacity-70">
+          {error ? 'File unavailable' : formatFileSize(metadata.size)}
+        </span>
+      </span>
+      <Download size={18} className="flex-shrink-0 opacity-70" />
+    </button>
+  );
+}
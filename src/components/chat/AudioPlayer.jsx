@@ -1,58 +1,140 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
-import { Play, Pause, Loader2 } from 'lucide-react';
-import { chatService } from '../../services/chatService';
-
-export default function AudioPlayer({ path, duration: propDuration, waveform }) {
+import React, { useState, useEffect, useRef, useCallback, useId } from 'react';
+import { Play, Pause, Loader2, RotateCcw, RotateCw } from 'lucide-react';
+import { cacheService } from '../../services/cacheService';
+import { voiceNoteService } from '../../services/voiceNoteService';
+import { audioBufferToWav } from '../../lib/audioTrim';
+import { formatDuration } from '../../lib/duration';
+import { voicePlayback } from '../../lib/voicePlayback';
+import { useInView } from '../../hooks/useInView';
+
+// Shortest take the trim handles can leave, in seconds
+const MIN_TRIM_LENGTH = 0.5;
+const SKIP_SECONDS = 5;
+// Tapping the speed button cycles through these
+const PLAYBACK_RATES = [1, 1.5, 2, 0.75];
+// Save the position this often while playing, in case the tab is closed mid-note
+const POSITION_SAVE_INTERVAL = 5;
+
+/**
+ * Voice note player with a seekable waveform, speed control and ±5s skip.
+ * Plays a stored note (`path`), resuming where it was last paused, or a local
+ * recording (`blob`). Starting one pauses any other (see voicePlayback).
+ * Stored notes load only once the player scrolls into view or is played.
+ * With onTrimChange it also shows trim handles: playback stays inside `trim`
+ * ({ start, end } in seconds, null for the whole take) and dragging a handle
+ * reports the new range.
+ */
+export default function AudioPlayer({ path, blob: localBlob, duration: propDuration, waveform, trim, onTrimChange }) {
   const [isPlaying, setIsPlaying] = useState(false);
   const [progress, setProgress] = useState(0);
   const [currentTime, setCurrentTime] = useState(0);
-  const [loading, setLoading] = useState(true);
+  const [loading, setLoading] = useState(false);
   const [error, setError] = useState(false);
   const [audioDuration, setAudioDuration] = useState(propDuration || 0);
-
-  // Web Audio API Refs
-  const audioContextRef = useRef(null);
-  const audioBufferRef = useRef(null);
-  const sourceNodeRef = useRef(null);
-  const startTimeRef = useRef(0); // AudioContext time when playback started
-  const offsetRef = useRef(0);    // User's seek offset in seconds
+  const [rate, setRate] = useState(1);
+  const [playRequested, setPlayRequested] = useState(false);
+  const playerId = useId();
+  const containerRef = useRef(null);
+  const inView = useInView(containerRef);
+
+  // Decoded audio isn't kept here: stored notes come from voiceNoteService's LRU when
+  // played, so a long chat doesn't hold every note in memory. Only the exact duration is.
+  const durationRef = useRef(0);
+  const localBufferRef = useRef(null);
+  // Playback goes through a media element, which can keep the pitch at other speeds.
+  // It plays a WAV of the decoded audio: MediaRecorder's webm has no duration and seeks badly.
+  const audioRef = useRef(null);
+  const audioPromiseRef = useRef(null);
+  const audioUrlRef = useRef(null);
+  const generationRef = useRef(0);      // Bumped on release, so late element setups are dropped
+  const offsetRef = useRef(0);          // Position while paused, in seconds
+  const savedAtRef = useRef(0);         // Position last written to the cache
   const animationFrameRef = useRef(null);
+  const trimRef = useRef(trim);
+  const startRef = useRef(null);        // Latest startPlayback, for play requests from outside
+  const pendingPlayRef = useRef(false); // Asked to play before the audio was ready
+  const finishedRef = useRef(false);    // The rAF loop and the 'ended' event can both see the end
+
+  useEffect(() => {
+    trimRef.current = trim;
+  }, [trim]);
+
+  const showPosition = useCallback((time) => {
+    const total = durationRef.current;
+    setCurrentTime(time);
+    setProgress(total ? (time / total) * 100 : 0);
+    voicePlayback.update(playerId, { currentTime: time });
+  }, [playerId]);
+
+  // Remember where a stored note was left (which also marks it played);
+  // the very start and end are saved as 0
+  const savePosition = useCallback((time) => {
+    if (!path) return;
+    savedAtRef.current = time;
+    const total = durationRef.current;
+    cacheService.savePlaybackPosition(path, time < 1 || time > total - 1 ? 0 : time);
+  }, [path]);
+
+  // Drop the media element and its WAV (about 5.7 MB a minute) whenever playback stops,
+  // so only the note that's playing holds one. It's rebuilt from the decoded audio on play.
+  const releaseAudio = useCallback(() => {
+    generationRef.current++;
+    const audio = audioRef.current;
+    if (audio) {
+      audio.pause();
+      audio.onended = null;
+    }
+    if (audioUrlRef.current) URL.revokeObjectURL(audioUrlRef.current);
+    audioRef.current = null;
+    audioPromiseRef.current = null;
+    audioUrlRef.current = null;
+  }, []);
+
+  const pausePlayback = useCallback(() => {
+    const audio = audioRef.current;
+    if (!audio || audio.paused) return;
+
+    offsetRef.current = audio.currentTime;
+    releaseAudio();
+    setIsPlaying(false);
+    savePosition(offsetRef.current);
+    voicePlayback.update(playerId, { isPlaying: false });
+  }, [releaseAudio, savePosition, playerId]);
+
+  const getBuffer = useCallback(async () => {
+    if (!localBlob) return voiceNoteService.load(path);
+    if (!localBufferRef.current) localBufferRef.current = await voiceNoteService.decode(localBlob);
+    return localBufferRef.current;
+  }, [path, localBlob]);
+
+  // Load once in view (or asked to play) to get the exact duration and saved position
+  const shouldLoad = inView || playRequested;
 
-  // Load audio buffer on mount
   useEffect(() => {
+    if (!shouldLoad || (!path && !localBlob)) return;
     let mounted = true;
 
     const loadAudio = async () => {
-      if (!path) return;
-
       setLoading(true);
       setError(false);
 
       try {
-        // Get URL (signed or public)
-        let url = path;
-        if (!path.startsWith('http')) {
-          url = await chatService.getVoiceNoteUrl(path);
-          if (!url) throw new Error('Failed to get audio URL');
-        }
-
-        // Fetch audio data as ArrayBuffer
-        const response = await fetch(url);
-        if (!response.ok) throw new Error('Network response was not ok');
-        const arrayBuffer = await response.arrayBuffer();
-
-        // Create AudioContext if not exists
-        if (!audioContextRef.current) {
-          audioContextRef.current = new (window.AudioContext || window.webkitAudioContext)();
-        }
-
-        // Decode audio data into AudioBuffer
-        const audioBuffer = await audioContextRef.current.decodeAudioData(arrayBuffer);
+        const buffer = await getBuffer();
+        const resumeAt = path ? await cacheService.getPlaybackPosition(path) : 0;
 
         if (mounted) {
-          audioBufferRef.current = audioBuffer;
-          setAudioDuration(audioBuffer.duration);
+          durationRef.current = buffer.duration;
+          setAudioDuration(buffer.duration);
+          if (resumeAt > 0 && resumeAt < buffer.duration) {
+            offsetRef.current = resumeAt;
+            savedAtRef.current = resumeAt;
+            showPosition(resumeAt);
+          }
           setLoading(false);
+          if (pendingPlayRef.current) {
+            pendingPlayRef.current = false;
+            startRef.current?.();
+          }
         }
       } catch (e) {
         console.error('Failed to load audio:', e);
@@ -67,31 +149,73 @@ export default function AudioPlayer({ path, duration: propDuration, waveform })
 
     return () => {
       mounted = false;
-      stopPlayback();
+    };
+  }, [shouldLoad, path, localBlob, getBuffer, showPosition]);
+
+  // Stop and let go of the audio when the note changes or the player unmounts
+  useEffect(() => {
+    return () => {
+      // Keep the spot of a note that was left mid-way
+      const audio = audioRef.current;
+      if (audio && !audio.paused) savePosition(audio.currentTime);
+
       if (animationFrameRef.current) cancelAnimationFrame(animationFrameRef.current);
+      releaseAudio();
+      localBufferRef.current = null;
+      durationRef.current = 0;
+      voicePlayback.release(playerId);
+    };
+  }, [path, localBlob, releaseAudio, savePosition, playerId]);
+
+  // Autoplay and the mini player ask for a note by path
+  useEffect(() => {
+    if (!path) return;
+
+    const handlePlayRequest = (e) => {
+      if (e.detail.path === path) startRef.current?.();
     };
+
+    window.addEventListener('voice-note-play', handlePlayRequest);
+    return () => window.removeEventListener('voice-note-play', handlePlayRequest);
   }, [path]);
 
+  const finishPlayback = useCallback(() => {
+    if (finishedRef.current) return;
+    finishedRef.current = true;
+
+    const end = trimRef.current ? trimRef.current.end : durationRef.current;
+
+    releaseAudio();
+    setIsPlaying(false);
+    showPosition(end);
+    offsetRef.current = trimRef.current ? trimRef.current.start : 0;
+    savePosition(0);
+    voicePlayback.release(playerId);
+
+    // Lets the chat move on to the next voice note
+    if (path && !trimRef.current) {
+      window.dispatchEvent(new CustomEvent('voice-note-ended', { detail: { path } }));
+    }
+  }, [releaseAudio, showPosition, savePosition, playerId, path]);
+
   // Update progress during playback
   const updateProgress = useCallback(() => {
-    if (!audioContextRef.current || !isPlaying || !audioBufferRef.current) return;
+    const audio = audioRef.current;
+    if (!audio || !isPlaying || !durationRef.current) return;
 
-    const elapsed = audioContextRef.current.currentTime - startTimeRef.current + offsetRef.current;
-    const total = audioBufferRef.current.duration;
+    const elapsed = audio.currentTime;
+    const end = trimRef.current ? trimRef.current.end : durationRef.current;
 
-    if (elapsed >= total) {
-      // Playback ended
-      setIsPlaying(false);
-      setProgress(100);
-      setCurrentTime(total);
-      offsetRef.current = 0;
+    if (audio.ended || elapsed >= end) {
+      // Playback ended (or reached the end of the trimmed range)
+      finishPlayback();
       return;
     }
 
-    setCurrentTime(elapsed);
-    setProgress((elapsed / total) * 100);
+    showPosition(elapsed);
+    if (Math.abs(elapsed - savedAtRef.current) >= POSITION_SAVE_INTERVAL) savePosition(elapsed);
     animationFrameRef.current = requestAnimationFrame(updateProgress);
-  }, [isPlaying]);
+  }, [isPlaying, finishPlayback, showPosition, savePosition]);
 
   useEffect(() => {
     if (isPlaying) {
@@ -104,85 +228,152 @@ export default function AudioPlayer({ path, duration: propDuration, waveform })
     };
   }, [isPlaying, updateProgress]);
 
-  const stopPlayback = () => {
-    if (sourceNodeRef.current) {
-      try {
-        sourceNodeRef.current.stop();
-        sourceNodeRef.current.disconnect();
-      } catch (e) { /* ignore */ }
-      sourceNodeRef.current = null;
+  // The media element is set up each time playback starts (decoding again if the buffer was evicted)
+  const getAudioElement = () => {
+    if (!audioPromiseRef.current) {
+      const generation = generationRef.current;
+
+      audioPromiseRef.current = getBuffer().then(buffer => {
+        if (generation !== generationRef.current) return null;
+
+        audioUrlRef.current = URL.createObjectURL(audioBufferToWav(buffer));
+        const audio = new Audio(audioUrlRef.current);
+        audio.preservesPitch = true;
+        audio.webkitPreservesPitch = true; // Safari
+        audio.mozPreservesPitch = true;    // older Firefox
+        // Catches the end while rAF is paused in a background tab
+        audio.onended = finishPlayback;
+        audioRef.current = audio;
+        return audio;
+      }).catch(err => {
+        audioPromiseRef.current = null;
+        throw err;
+      });
     }
+    return audioPromiseRef.current;
   };
 
-  const playFromOffset = (offset) => {
-    if (!audioContextRef.current || !audioBufferRef.current) return;
-
-    // Resume context if suspended (browser autoplay policy)
-    if (audioContextRef.current.state === 'suspended') {
-      audioContextRef.current.resume();
+  const playFromOffset = async (offset) => {
+    let audio = audioRef.current;
+    if (!audio) {
+      setLoading(true);
+      try {
+        audio = await getAudioElement();
+      } catch (err) {
+        console.error('Failed to load audio:', err);
+        setError(true);
+        return;
+      } finally {
+        setLoading(false);
+      }
+      if (!audio) return; // Unmounted meanwhile
     }
 
-    stopPlayback();
+    audio.playbackRate = rate;
+    audio.currentTime = offset;
+    offsetRef.current = offset;
+    finishedRef.current = false;
 
-    const source = audioContextRef.current.createBufferSource();
-    source.buffer = audioBufferRef.current;
-    source.connect(audioContextRef.current.destination);
+    audio.play().catch(err => {
+      console.error('Playback failed:', err);
+      setIsPlaying(false);
+      voicePlayback.release(playerId);
+    });
+    setIsPlaying(true);
+    voicePlayback.claim(playerId, pausePlayback, {
+      path: path || null,
+      isPlaying: true,
+      currentTime: offset,
+      duration: durationRef.current
+    });
+  };
 
-    source.onended = () => {
-      if (isPlaying) {
-        setIsPlaying(false);
-        setProgress(100);
-        setCurrentTime(audioBufferRef.current.duration);
-        offsetRef.current = 0;
-      }
-    };
+  const startPlayback = () => {
+    if (audioRef.current && !audioRef.current.paused) return;
 
-    sourceNodeRef.current = source;
-    startTimeRef.current = audioContextRef.current.currentTime;
-    offsetRef.current = offset;
+    // Not loaded yet (e.g. autoplay reached a note that's off screen): load, then play
+    if (!durationRef.current) {
+      pendingPlayRef.current = true;
+      setPlayRequested(true);
+      return;
+    }
 
-    source.start(0, offset);
-    setIsPlaying(true);
+    // Play from current offset, kept inside the trimmed range
+    const range = trimRef.current;
+    const atEnd = range && offsetRef.current >= range.end - 0.05;
+    const offset = range && (atEnd || offsetRef.current < range.start) ? range.start : offsetRef.current;
+    playFromOffset(offset);
+    savePosition(offset);
+    if (path) voiceNoteService.keepOffline(path);
   };
 
+  useEffect(() => {
+    startRef.current = startPlayback;
+  });
+
   const togglePlay = () => {
-    if (loading || !audioBufferRef.current) return;
+    if (loading) return;
 
     if (isPlaying) {
-      // Pause: save current offset
-      const elapsed = audioContextRef.current.currentTime - startTimeRef.current + offsetRef.current;
-      offsetRef.current = elapsed;
-      stopPlayback();
-      setIsPlaying(false);
+      pausePlayback();
     } else {
-      // Play from current offset
-      playFromOffset(offsetRef.current);
+      startPlayback();
     }
   };
 
+  // Jump to a time, kept inside the trimmed range
+  const seekTo = (time) => {
+    const total = durationRef.current;
+    const range = trimRef.current || { start: 0, end: total };
+    const newTime = Math.max(range.start, Math.min(time, range.end));
+
+    offsetRef.current = newTime;
+    showPosition(newTime);
+    if (isPlaying) audioRef.current.currentTime = newTime;
+    savePosition(newTime);
+  };
+
   const handleSeek = (e) => {
-    if (!audioBufferRef.current) return;
+    if (!durationRef.current) return;
 
     const rect = e.currentTarget.getBoundingClientRect();
     const x = e.clientX - rect.left;
-    const percent = Math.max(0, Math.min(x / rect.width, 1));
-    const newTime = audioBufferRef.current.duration * percent;
+    seekTo(durationRef.current * (x / rect.width));
+  };
 
-    offsetRef.current = newTime;
-    setCurrentTime(newTime);
-    setProgress(percent * 100);
+  const skip = (seconds) => {
+    if (!durationRef.current) return;
+    seekTo((isPlaying ? audioRef.current.currentTime : offsetRef.current) + seconds);
+  };
 
-    // If currently playing, restart from new position
-    if (isPlaying) {
-      playFromOffset(newTime);
-    }
+  const cycleRate = () => {
+    const next = PLAYBACK_RATES[(PLAYBACK_RATES.indexOf(rate) + 1) % PLAYBACK_RATES.length];
+    setRate(next);
+    if (audioRef.current) audioRef.current.playbackRate = next;
   };
 
-  const formatTime = (seconds) => {
-    if (!seconds || !isFinite(seconds)) return '0:00';
-    const mins = Math.floor(seconds / 60);
-    const secs = Math.floor(seconds % 60);
-    return `${mins}:${secs.toString().padStart(2, '0')}`;
+  // Drag a trim handle; the other edge stays where it was when the drag started
+  const startTrimDrag = (edge) => (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const total = durationRef.current;
+    if (!total) return;
+
+    const rect = e.currentTarget.parentElement.getBoundingClientRect();
+    const range = trimRef.current || { start: 0, end: total };
+
+    const onMove = (event) => {
+      const time = Math.max(0, Math.min((event.clientX - rect.left) / rect.width, 1)) * total;
+      onTrimChange(edge === 'start'
+        ? { start: Math.min(time, range.end - MIN_TRIM_LENGTH), end: range.end }
+        : { start: range.start, end: Math.max(time, range.start + MIN_TRIM_LENGTH) });
+    };
+    const onUp = () => {
+      window.removeEventListener('pointermove', onMove);
+      window.removeEventListener('pointerup', onUp);
+    };
+    window.addEventListener('pointermove', onMove);
+    window.addEventListener('pointerup', onUp);
   };
 
   if (error) {
@@ -193,8 +384,12 @@ export default function AudioPlayer({ path, duration: propDuration, waveform })
     );
   }
 
+  const canTrim = !!onTrimChange && !loading && audioDuration > 0;
+  const trimStart = canTrim && trim ? (trim.start / audioDuration) * 100 : 0;
+  const trimEnd = canTrim && trim ? (trim.end / audioDuration) * 100 : 100;
+
   return (
-    <div className="flex items-center gap-3 bg-gray-100 dark:bg-zinc-800/50 p-2 px-3 rounded-2xl w-full sm:w-[280px] md:w-[320px] border border-gray-200 dark:border-zinc-700/50 shadow-sm">
+    <div ref={containerRef} className="flex items-center gap-3 bg-gray-100 dark:bg-zinc-800/50 p-2 px-3 rounded-2xl w-full sm:w-[280px] md:w-[320px] border border-gray-200 dark:border-zinc-700/50 shadow-sm">
       <button
         onClick={togglePlay}
         disabled={loading}
@@ -226,12 +421,14 @@ export default function AudioPlayer({ path, duration: propDuration, waveform })
 
               return points.map((val, i, arr) => {
                 const barHeight = typeof val === 'number' ? Math.max(10, Math.min(100, val)) : 30;
-                const isPassed = (i / arr.length * 100) < progress;
+                const position = i / arr.length * 100;
+                const isPassed = position < progress;
+                const isTrimmed = position < trimStart || position >= trimEnd;
 
                 return (
                   <div
                     key={i}
-                    className={`flex-1 rounded-full transition-colors duration-75 ${isPassed ? 'bg-indigo-500' : 'bg-gray-300 dark:bg-zinc-700'}`}
+                    className={`flex-1 rounded-full transition-colors duration-75 ${isPassed ? 'bg-indigo-500' : 'bg-gray-300 dark:bg-zinc-700'} ${isTrimmed ? 'opacity-30' : ''}`}
                     style={{
                       height: `${barHeight}%`,
                       minHeight: '4px'
@@ -241,11 +438,53 @@ export default function AudioPlayer({ path, duration: propDuration, waveform })
               });
             })()}
           </div>
+
+          {/* Trim handles */}
+          {canTrim && ['start', 'end'].map(edge => (
+            <div
+              key={edge}
+              onPointerDown={startTrimDrag(edge)}
+              onClick={(e) => e.stopPropagation()}
+              className="absolute inset-y-0 w-3 -translate-x-1/2 flex justify-center cursor-ew-resize touch-none"
+              style={{ left: `${edge === 'start' ? trimStart : trimEnd}%` }}
+              title={edge === 'start' ? 'Trim start' : 'Trim end'}
+            >
+              <div className="w-1 h-full rounded-full bg-indigo-600" />
+            </div>
+          ))}
         </div>
 
-        <div className="flex justify-between text-[10px] text-gray-500 font-medium select-none">
-          <span>{formatTime(currentTime)}</span>
-          <span>{formatTime(audioDuration)}</span>
+        <div className="flex items-center justify-between text-[10px] text-gray-500 font-medium select-none">
+          <span className="min-w-[2rem]">{formatDuration(currentTime)}</span>
+          <div className="flex items-center gap-1">
+            <button
+              type="button"
+              onClick={() => skip(-SKIP_SECONDS)}
+              disabled={loading}
+              className="p-1 rounded-full hover:bg-gray-200 dark:hover:bg-zinc-700 hover:text-indigo-600 transition-colors disabled:opacity-50"
+              title={`Back ${SKIP_SECONDS} seconds`}
+            >
+              <RotateCcw size={12} />
+            </button>
+            <button
+              type="button"
+              onClick={cycleRate}
+              className="px-1.5 py-0.5 min-w-[2.25rem] rounded-full bg-gray-200 dark:bg-zinc-700 hover:text-indigo-600 font-bold transition-colors"
+              title="Playback speed"
+            >
+              {rate}x
+            </button>
+            <button
+              type="button"
+              onClick={() => skip(SKIP_SECONDS)}
+              disabled={loading}
+              className="p-1 rounded-full hover:bg-gray-200 dark:hover:bg-zinc-700 hover:text-indigo-600 transition-colors disabled:opacity-50"
+              title={`Forward ${SKIP_SECONDS} seconds`}
+            >
+              <RotateCw size={12} />
+            </button>
+          </div>
+          <span className="min-w-[2rem] text-right">{formatDuration(canTrim && trim ? trim.end - trim.start : audioDuration)}</span>
         </div>
       </div>
     </div>
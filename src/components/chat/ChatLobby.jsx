@@ -1,34 +1,150 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { chatService } from '../../services/chatService';
+import { cacheService } from '../../services/cacheService';
 import { supabase } from '../../lib/supabase';
-import { Plus, Search, Loader2 } from 'lucide-react';
+import { useNavigate } from 'react-router-dom';
+import { useAutoRetry } from '../../hooks/useNetworkStatus';
+import { usePresence } from '../../hooks/usePresence';
+import MessageSearchResults from './MessageSearchResults';
+import { Plus, Search, Loader2, X } from 'lucide-react';
+
+const sortChats = (list) => [...list].sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
+
+const toLastMessage = (msg) => ({
+  id: msg.id,
+  content: msg.content,
+  type: msg.type,
+  created_at: msg.created_at,
+  status: msg.status,
+  deleted_at: msg.deleted_at
+});
 
 export default function ChatLobby({ onSelectChat, selectedChatId, onOpenNewChat }) {
   const [chats, setChats] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [currentUserId, setCurrentUserId] = useState(null);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [search, setSearch] = useState({ term: '', groups: [] }); // results for the last completed query
+  const selectedChatIdRef = useRef(selectedChatId);
+  const navigate = useNavigate();
+  const { isOnline } = usePresence();
+
+  const trimmedSearch = searchTerm.trim();
+  const isSearching = trimmedSearch.length >= 2;
+
+  useEffect(() => {
+    selectedChatIdRef.current = selectedChatId;
+  }, [selectedChatId]);
 
   // Fetch chats on mount
   useEffect(() => {
     fetchChats();
+    supabase.auth.getUser().then(({ data: { user } }) => setCurrentUserId(user?.id || null));
 
-    // Realtime subscription for new messages updating the chat list
-    // This is simplified; ideally we listen to 'conversations' and 'messages' tables
-    const channel = supabase
-      .channel('public:conversations')
-      .on('postgres_changes', { event: '*', schema: 'public', table: 'conversations' }, () => {
-        fetchChats();
-      })
-      .on('postgres_changes', { event: '*', schema: 'public', table: 'messages' }, () => {
-        fetchChats();
+    // markAsRead announces which chat was just read
+    const handleRead = (e) => {
+      const { conversationId } = e.detail;
+      setChats(prev => prev.map(c => c.id === conversationId ? { ...c, unreadCount: 0 } : c));
+    };
+    window.addEventListener('chat-read', handleRead);
+
+    return () => {
+      window.removeEventListener('chat-read', handleRead);
+    };
+  }, []);
+
+  // Keep the offline copy of the list current, including realtime patches
+  useEffect(() => {
+    if (loading) return;
+    cacheService.saveConversations('direct', chats);
+  }, [chats, loading]);
+
+  // Realtime events may have been missed while offline, so reload everything
+  useAutoRetry(() => fetchChats(), []);
+
+  // Only listen to the conversations in the list; re-subscribe when that set changes
+  const chatIdsKey = chats.map(c => c.id).sort().join(',');
+
+  // Realtime: patch the affected chat instead of refetching the whole list
+  useEffect(() => {
+    if (!currentUserId) return;
+
+    // Unique topic: the previous channel may still be leaving when the set changes
+    const channel = supabase.channel(`lobby:${currentUserId}:${Date.now()}`);
+
+    if (chatIdsKey) {
+      channel
+        .on('postgres_changes', {
+          event: 'INSERT',
+          schema: 'public',
+          table: 'messages',
+          filter: `conversation_id=in.(${chatIdsKey})`
+        }, (payload) => {
+          const msg = payload.new;
+          const countsAsUnread = msg.sender_id !== currentUserId && msg.conversation_id !== selectedChatIdRef.current;
+
+          setChats(prev => sortChats(prev.map(c => c.id !== msg.conversation_id ? c : {
+            ...c,
+            lastMessage: toLastMessage(msg),
+            unreadCount: countsAsUnread ? c.unreadCount + 1 : c.unreadCount,
+            updated_at: msg.created_at
+          })));
+        })
+        .on('postgres_changes', {
+          event: 'UPDATE',
+          schema: 'public',
+          table: 'messages',
+          filter: `conversation_id=in.(${chatIdsKey})`
+        }, (payload) => {
+          // Status changes (e.g. read) only matter for the preview line
+          const msg = payload.new;
+          setChats(prev => prev.map(c => c.lastMessage?.id === msg.id
+            ? { ...c, lastMessage: toLastMessage(msg) }
+            : c));
+        })
+        .on('postgres_changes', {
+          event: 'UPDATE',
+          schema: 'public',
+          table: 'conversations',
+          filter: `id=in.(${chatIdsKey})`
+        }, (payload) => {
+          const conv = payload.new;
+          setChats(prev => sortChats(prev.map(c => c.id === conv.id ? { ...c, updated_at: conv.updated_at } : c)));
+        });
+    }
+
+    channel
+      .on('postgres_changes', {
+        event: 'INSERT',
+        schema: 'public',
+        table: 'chat_members',
+        filter: `user_id=eq.${currentUserId}`
+      }, async (payload) => {
+        // Added to a new chat: fetch just that one
+        try {
+          const [chat] = await chatService.getChats([payload.new.conversation_id]);
+          if (chat) {
+            setChats(prev => sortChats([chat, ...prev.filter(c => c.id !== chat.id)]));
+          }
+        } catch (error) {
+          console.error("Error loading new chat:", error);
+        }
       })
       .subscribe();
 
     return () => {
       supabase.removeChannel(channel);
     };
-  }, []);
+  }, [currentUserId, chatIdsKey]);
 
   const fetchChats = async () => {
+    // Show the cached list straight away; the fetch below replaces it
+    const cached = await cacheService.getConversations('direct');
+    if (cached.length > 0) {
+      setChats(prev => (prev.length > 0 ? prev : sortChats(cached)));
+      setLoading(false);
+    }
+
     try {
       const data = await chatService.getChats();
       setChats(data);
@@ -39,9 +155,39 @@ export default function ChatLobby({ onSelectChat, selectedChatId, onOpenNewChat
     }
   };
 
+  // Debounced message search
+  useEffect(() => {
+    if (trimmedSearch.length < 2) return;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const groups = await chatService.searchMessages(trimmedSearch);
+        if (!cancelled) setSearch({ term: trimmedSearch, groups });
+      } catch (error) {
+        console.error("Error searching messages:", error);
+        if (!cancelled) setSearch({ term: trimmedSearch, groups: [] });
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [trimmedSearch]);
+
+  // Open the conversation scrolled to the matched message
+  const handleSelectResult = (group, result) => {
+    const base = group.type === 'group' ? '/classroom' : '/chat';
+    navigate(`${base}/${group.conversationId}?message=${result.id}`);
+  };
+
   const getStatusText = (chat) => {
     if (!chat.lastMessage) return 'No messages yet';
+    if (chat.lastMessage.deleted_at) return 'Message deleted';
     if (chat.lastMessage.type === 'audio') return '🎤 Voice Message';
+    if (chat.lastMessage.type === 'image') return '📷 Photo';
+    if (chat.lastMessage.type === 'file') return '📎 File';
     return chat.lastMessage.content;
   }
 
@@ -68,21 +214,39 @@ export default function ChatLobby({ onSelectChat, selectedChatId, onOpenNewChat
         </button>
       </div>
 
-      {/* Search (Visual only for now) */}
+      {/* Search */}
       <div className="p-3">
         <div className="relative">
           <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={16} />
           <input
             type="text"
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
             placeholder="Search messages..."
-            className="w-full pl-9 pr-4 py-2 bg-gray-100 dark:bg-zinc-900 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 transition-all border-none"
+            className="w-full pl-9 pr-9 py-2 bg-gray-100 dark:bg-zinc-900 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 transition-all border-none"
           />
+          {searchTerm && (
+            <button
+              onClick={() => setSearchTerm('')}
+              className="absolute right-2 top-1/2 -translate-y-1/2 p-1 text-gray-400 hover:text-gray-600 rounded-full"
+              title="Clear search"
+            >
+              <X size={14} />
+            </button>
+          )}
         </div>
       </div>
 
       {/* Chat List */}
       <div className="flex-1 overflow-y-auto custom-scrollbar">
-        {loading ? (
+        {isSearching ? (
+          <MessageSearchResults
+            groups={search.term === trimmedSearch ? search.groups : []}
+            term={trimmedSearch}
+            loading={search.term !== trimmedSearch}
+            onSelectResult={handleSelectResult}
+          />
+        ) : loading ? (
           <div className="flex justify-center items-center h-40">
             <Loader2 className="animate-spin text-indigo-500" />
           </div>
@@ -106,8 +270,10 @@ export default function ChatLobby({ onSelectChat, selectedChatId, onOpenNewChat
                     {(chat.otherUser?.nickname?.[0] || chat.otherUser?.email?.[0] || '?').toUpperCase()}
                   </div>
                 )}
-                {/* Online Status (Mock) */}
-                <span className="absolute bottom-0 right-0 w-3 h-3 bg-green-500 border-2 border-white dark:border-zinc-950 rounded-full"></span>
+                {/* Online Status */}
+                {isOnline(chat.otherUser?.id) && (
+                  <span className="absolute bottom-0 right-0 w-3 h-3 bg-green-500 border-2 border-white dark:border-zinc-950 rounded-full"></span>
+                )}
               </div>
 
               {/* Info */}
@@ -125,8 +291,8 @@ export default function ChatLobby({ onSelectChat, selectedChatId, onOpenNewChat
                     {getStatusText(chat)}
                   </p>
                   {chat.unreadCount > 0 && (
-                    <div className="w-5 h-5 bg-indigo-600 rounded-full flex items-center justify-center text-[10px] text-white font-bold flex-shrink-0">
-                      {chat.unreadCount}
+                    <div className="min-w-[20px] h-5 px-1 bg-indigo-600 rounded-full flex items-center justify-center text-[10px] text-white font-bold flex-shrink-0">
+                      {chat.unreadCount > 99 ? '99+' : chat.unreadCount}
                     </div>
                   )}
                 </div>
@@ -0,0 +1,30 @@
+import React from 'react';
+import { X } from 'lucide-react';
+
+const ACCENTS = {
+  indigo: 'border-indigo-500 text-indigo-600 dark:text-indigo-400',
+  emerald: 'border-emerald-500 text-emerald-600 dark:text-emerald-400'
+};
+
+/**
+ * Strip shown above a composer while editing or replying to a message.
+ */
+export default function ComposerBanner({ icon: Icon, title, children, onCancel, accent = 'indigo' }) {
+  return (
+    <div className={`flex items-center gap-3 mb-2 pl-3 pr-1 py-1.5 border-l-4 rounded-r-lg bg-gray-50 dark:bg-zinc-900 ${ACCENTS[accent]}`}>
+      {Icon && <Icon size={16} className="flex-shrink-0" />}
+      <div className="flex-1 min-w-0">
+        <p className="text-xs font-semibold">{title}</p>
+        <div className="text-xs text-gray-500 truncate">{children}</div>
+      </div>
+      <button
+        type="button"
+        onClick={onCancel}
+        className="p-1.5 text-gray-400 hover:text-gray-600 hover:bg-gray-100 dark:hover:bg-zinc-800 rounded-full transition-colors"
+        title="Cancel"
+      >
+        <X size={16} />
+      </button>
+    </div>
+  );
+}
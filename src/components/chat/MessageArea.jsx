@@ -1,18 +1,63 @@
-import React, { useEffect, useState, useRef } from 'react';
+import React, { useEffect, useState, useRef, useCallback } from 'react';
 import { chatService } from '../../services/chatService';
 import { supabase } from '../../lib/supabase';
+import { useChatScroll } from '../../hooks/useChatScroll';
+import { useScrollToMessage } from '../../hooks/useScrollToMessage';
+import { useVoiceNoteAutoplay } from '../../hooks/useVoicePlayback';
+import { useAttachmentUpload } from '../../hooks/useAttachmentUpload';
+import { useOutbox, mergeConfirmed } from '../../hooks/useOutbox';
+import { outboxService } from '../../services/outboxService';
+import { cacheService } from '../../services/cacheService';
+import { useMessageCache, mergeLatestPage, bridgesCache } from '../../hooks/useMessageCache';
+import { useMessageReactions } from '../../hooks/useMessageReactions';
+import { useTypingIndicator } from '../../hooks/useTypingIndicator';
+import { usePresence, formatLastSeen } from '../../hooks/usePresence';
 import MessageBubble from './MessageBubble';
 import VoiceRecorder from './VoiceRecorder';
-import { Send, MoreVertical, Phone, Video, Loader2 } from 'lucide-react';
+import VoiceMiniPlayer from './VoiceMiniPlayer';
+import ComposerBanner from './ComposerBanner';
+import AttachmentButton from './AttachmentButton';
+import { QuoteSnippet } from './QuotedMessage';
+import { ConfirmationModal } from '../ui/ConfirmationModal';
+import { useToast } from '../ui/Toast';
+import { Send, MoreVertical, Phone, Video, Loader2, Pencil, Reply, Paperclip } from 'lucide-react';
 
 export default function MessageArea({ chat }) {
+  const toast = useToast();
   const [messages, setMessages] = useState([]);
   const [newMessage, setNewMessage] = useState('');
   const [loading, setLoading] = useState(false);
   const [sending, setSending] = useState(false);
+  const [editingMessage, setEditingMessage] = useState(null);
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [pendingDelete, setPendingDelete] = useState(null);
+  const [deleting, setDeleting] = useState(false);
+  const inputRef = useRef(null);
   const [currentUser, setCurrentUser] = useState(null);
   const [isRecordingAudio, setIsRecordingAudio] = useState(false);
-  const messagesEndRef = useRef(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const loadingOlderRef = useRef(false);
+  const channelRef = useRef(null);
+  const { isOnline, getLastSeen, now } = usePresence();
+
+  // A reply/edit in progress belongs to the previous chat
+  const [composerChatId, setComposerChatId] = useState(chat?.id);
+  if (chat?.id !== composerChatId) {
+    setComposerChatId(chat?.id);
+    setReplyingTo(null);
+    if (editingMessage) {
+      setEditingMessage(null);
+      setNewMessage('');
+    }
+  }
+
+  const { typingUsers, handleTypingEvent, notifyTyping, notifyStopped } = useTypingIndicator(
+    channelRef,
+    chat?.id,
+    currentUser?.id,
+    currentUser?.user_metadata?.nickname || currentUser?.email?.split('@')[0]
+  );
 
   // Get current user on mount
   useEffect(() => {
@@ -24,10 +69,30 @@ export default function MessageArea({ chat }) {
     if (!chat?.id) return;
 
     const loadMessages = async () => {
-      setLoading(true);
+      // Render from the offline cache first, then refresh it with the latest page
+      const cached = await cacheService.getMessages(chat.id);
+      // Unsent messages from the outbox stay at the bottom until they go through
+      const pending = (await outboxService.list(chat.id)).map(outboxService.toMessage);
+      const newest = cached[cached.length - 1];
+
+      if (newest) {
+        setMessages([...cached, ...pending]);
+        setHasMore(true);
+      } else {
+        setLoading(true);
+      }
+
       try {
-        const data = await chatService.getMessages(chat.id);
-        setMessages(data);
+        const { messages: data, hasMore: more } = await chatService.getMessages(chat.id);
+
+        if (newest && bridgesCache(data, more, newest)) {
+          setMessages(prev => mergeLatestPage(prev, data));
+        } else {
+          // No cache, or too much is new to bridge the gap: start from the latest page
+          setMessages([...data, ...pending]);
+          setHasMore(more);
+        }
+
         // Mark as read immediately when opening
         const unreadIds = data
           .filter(m => m.status !== 'read' && m.sender_id !== currentUser?.id) // Assuming we have currentUser by now, waiting for it might be safer but this is okay for effect
@@ -37,6 +102,7 @@ export default function MessageArea({ chat }) {
           chatService.markAsRead(chat.id, unreadIds);
         }
       } catch (error) {
+        // Offline: keep showing whatever the cache had
         console.error("Error loading messages:", error);
       } finally {
         setLoading(false);
@@ -59,8 +125,12 @@ export default function MessageArea({ chat }) {
         schema: 'public',
         table: 'messages',
         filter: `conversation_id=eq.${chat.id}`
-      }, (payload) => {
-        setMessages(prev => [...prev, payload.new]);
+      }, async (payload) => {
+        // Realtime rows carry no joins, so resolve the quoted message separately
+        const replyTo = payload.new.reply_to_id
+          ? await chatService.getReplyTarget(payload.new.reply_to_id)
+          : null;
+        setMessages(prev => mergeConfirmed(prev, { ...payload.new, reply_to: replyTo, reactions: [] }));
         // If message is from other, mark read
         if (payload.new.sender_id !== currentUser?.id) {
           chatService.markAsRead(chat.id, [payload.new.id]);
@@ -72,35 +142,155 @@ export default function MessageArea({ chat }) {
         table: 'messages',
         filter: `conversation_id=eq.${chat.id}`
       }, (payload) => {
-        setMessages(prev => prev.map(m => m.id === payload.new.id ? payload.new : m));
+        // Keep the joined reply_to, and refresh quotes of the updated message (edits, deletes)
+        setMessages(prev => prev.map(m => {
+          if (m.id === payload.new.id) return { ...m, ...payload.new };
+          if (m.reply_to?.id === payload.new.id) return { ...m, reply_to: { ...m.reply_to, ...payload.new } };
+          return m;
+        }));
+      })
+      .on('broadcast', { event: 'typing' }, ({ payload }) => {
+        handleTypingEvent(payload);
       })
       .subscribe();
+    channelRef.current = channel;
 
     return () => {
       supabase.removeChannel(channel);
+      channelRef.current = null;
     };
-  }, [chat?.id, currentUser]);
+  }, [chat?.id, currentUser, handleTypingEvent]);
 
-  // Auto-scroll to bottom
-  useEffect(() => {
-    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-  }, [messages]);
+  const handleReactionError = useCallback(() => {
+    toast.error('Failed to update reaction. Please try again.');
+  }, [toast]);
+
+  const toggleReaction = useMessageReactions(chat?.id, currentUser?.id, setMessages, handleReactionError);
+
+  useMessageCache(chat?.id, messages, loading);
+
+  const { send: queueMessage, retry: retryMessage, discard: discardMessage } = useOutbox(
+    chat?.id,
+    'direct',
+    currentUser?.id,
+    setMessages
+  );
+
+  // Load the next page of history when scrolled to the top
+  const loadOlderMessages = useCallback(async () => {
+    if (!chat?.id || loadingOlderRef.current || messages.length === 0) return;
+
+    loadingOlderRef.current = true;
+    setLoadingOlder(true);
+    try {
+      const { messages: older, hasMore: more } = await chatService.getMessages(chat.id, { before: messages[0] });
+      setMessages(prev => [...older, ...prev]);
+      setHasMore(more);
+    } catch (error) {
+      console.error("Error loading older messages:", error);
+    } finally {
+      loadingOlderRef.current = false;
+      setLoadingOlder(false);
+    }
+  }, [chat?.id, messages]);
+
+  // Auto-scroll to bottom for new messages, keep position when history is prepended
+  const { containerRef, endRef, handleScroll } = useChatScroll(messages, {
+    hasMore,
+    onReachTop: loadOlderMessages
+  });
+
+  // Jump to ?message=<id> (search results, quoted replies), paging back as needed
+  const jumpToMessage = useScrollToMessage({
+    conversationId: chat?.id,
+    messages,
+    loading,
+    hasMore,
+    loadOlder: loadOlderMessages,
+    containerRef
+  });
+
+  // Keep playing through a run of voice notes
+  useVoiceNoteAutoplay(messages, currentUser?.id);
 
   const handleSend = async (e) => {
     e.preventDefault();
     if (!newMessage.trim() || sending) return;
 
+    notifyStopped();
+
+    // New messages show up at once and are delivered through the outbox
+    if (!editingMessage) {
+      queueMessage({ content: newMessage, replyTo: replyingTo });
+      setReplyingTo(null);
+      setNewMessage('');
+      return;
+    }
+
     setSending(true);
     try {
-      await chatService.sendMessage(chat.id, newMessage);
+      const updated = await chatService.editMessage(editingMessage.id, newMessage.trim());
+      setMessages(prev => prev.map(m => m.id === updated.id ? { ...m, ...updated } : m));
+      setEditingMessage(null);
       setNewMessage('');
     } catch (error) {
-      console.error("Failed to send:", error);
+      console.error("Failed to edit:", error);
+      toast.error('Failed to edit message. Please try again.');
     } finally {
       setSending(false);
     }
   };
 
+  const handleStartReply = (message) => {
+    if (editingMessage) handleCancelEdit();
+    setReplyingTo(message);
+    inputRef.current?.focus();
+  };
+
+  const handleStartEdit = (message) => {
+    setReplyingTo(null);
+    setEditingMessage(message);
+    setNewMessage(message.content);
+    inputRef.current?.focus();
+  };
+
+  const handleCancelEdit = () => {
+    setEditingMessage(null);
+    setNewMessage('');
+  };
+
+  const handleConfirmDelete = async () => {
+    if (!pendingDelete) return;
+
+    setDeleting(true);
+    try {
+      const deleted = await chatService.deleteMessage(pendingDelete);
+      setMessages(prev => prev.map(m => m.id === deleted.id ? { ...m, ...deleted } : m));
+      if (editingMessage?.id === deleted.id) handleCancelEdit();
+      if (replyingTo?.id === deleted.id) setReplyingTo(null);
+    } catch (error) {
+      console.error("Failed to delete message:", error);
+      toast.error('Failed to delete message. Please try again.');
+    } finally {
+      setDeleting(false);
+      setPendingDelete(null);
+    }
+  };
+
+  const getSenderName = (senderId) => {
+    if (senderId === currentUser?.id) return 'You';
+    return chat.otherUser?.nickname || chat.otherUser?.email?.split('@')[0] || 'Unknown';
+  };
+
+  const sendAttachment = useCallback(async (path, type, metadata) => {
+    await chatService.sendMessage(chat.id, path, type, metadata, replyingTo?.id);
+    setReplyingTo(null);
+  }, [chat?.id, replyingTo]);
+
+  const handleAttachmentError = useCallback((message) => toast.error(message), [toast]);
+
+  const { upload, startUpload, cancelUpload } = useAttachmentUpload(chat?.id, sendAttachment, handleAttachmentError);
+
   // Group messages by date
   const renderMessages = () => {
     let lastDate = null;
@@ -110,7 +300,7 @@ export default function MessageArea({ chat }) {
       lastDate = msgDate;
 
       return (
-        <React.Fragment key={msg.id}>
+        <React.Fragment key={msg.client_id || msg.id}>
           {showDate && (
             <div className="flex justify-center my-4">
               <span className="bg-gray-100 dark:bg-zinc-800 text-gray-500 text-xs px-3 py-1 rounded-full">
@@ -118,10 +308,21 @@ export default function MessageArea({ chat }) {
               </span>
             </div>
           )}
-          <MessageBubble
-            message={msg}
-            isOwnMessage={msg.sender_id === currentUser?.id}
-          />
+          <div data-message-id={msg.id} className="transition-colors duration-500">
+            <MessageBubble
+              message={msg}
+              isOwnMessage={msg.sender_id === currentUser?.id}
+              currentUserId={currentUser?.id}
+              onEdit={handleStartEdit}
+              onDelete={setPendingDelete}
+              onReply={handleStartReply}
+              onReact={toggleReaction}
+              onRetry={retryMessage}
+              onDiscard={discardMessage}
+              quotedSenderName={msg.reply_to ? getSenderName(msg.reply_to.sender_id) : null}
+              onQuoteClick={jumpToMessage}
+            />
+          </div>
         </React.Fragment>
       );
     });
@@ -129,24 +330,21 @@ export default function MessageArea({ chat }) {
 
   const handleAudioSend = async (blob, duration, waveform) => {
     if (!chat?.id) return;
-    try {
-      // 1. Upload
-      const file = new File([blob], "voice-note.webm", { type: blob.type });
-      const { path } = await chatService.uploadVoiceNote(chat.id, file);
 
-      // 2. Send Message
-      await chatService.sendMessage(chat.id, path, 'audio', {
+    // The outbox uploads the recording, then sends the message
+    queueMessage({
+      type: 'audio',
+      blob,
+      replyTo: replyingTo,
+      metadata: {
         duration,
         mime_type: blob.type,
         size: blob.size,
         waveform: waveform || [] // Pass the waveform data
-      });
-
-    } catch (error) {
-      console.error("Failed to send voice note:", error);
-    } finally {
-      setIsRecordingAudio(false);
-    }
+      }
+    });
+    setReplyingTo(null);
+    setIsRecordingAudio(false);
   };
 
   if (!chat) {
@@ -157,21 +355,37 @@ export default function MessageArea({ chat }) {
     );
   }
 
+  const otherOnline = isOnline(chat.otherUser?.id);
+  const otherLastSeen = getLastSeen(chat.otherUser?.id, chat.otherUser?.last_seen_at);
+
   return (
     <div className="flex-1 flex flex-col h-full bg-white dark:bg-zinc-950">
       {/* Header */}
       <div className="p-4 border-b border-gray-200 dark:border-zinc-800 flex justify-between items-center bg-white dark:bg-zinc-950 sticky top-0 z-10">
         <div className="flex items-center gap-3">
-          {chat.otherUser?.avatar_url ? (
-            <img src={chat.otherUser.avatar_url} alt="User" className="w-10 h-10 rounded-full object-cover" />
-          ) : (
-            <div className="w-10 h-10 rounded-full bg-gradient-to-br from-indigo-400 to-purple-400 flex items-center justify-center text-white font-bold text-sm">
-              {(chat.otherUser?.nickname?.[0] || chat.otherUser?.email?.[0] || '?').toUpperCase()}
-            </div>
-          )}
+          <div className="relative flex-shrink-0">
+            {chat.otherUser?.avatar_url ? (
+              <img src={chat.otherUser.avatar_url} alt="User" className="w-10 h-10 rounded-full object-cover" />
+            ) : (
+              <div className="w-10 h-10 rounded-full bg-gradient-to-br from-indigo-400 to-purple-400 flex items-center justify-center text-white font-bold text-sm">
+                {(chat.otherUser?.nickname?.[0] || chat.otherUser?.email?.[0] || '?').toUpperCase()}
+              </div>
+            )}
+            {otherOnline && (
+              <span className="absolute bottom-0 right-0 w-3 h-3 bg-green-500 border-2 border-white dark:border-zinc-950 rounded-full"></span>
+            )}
+          </div>
           <div>
             <h3 className="font-bold text-gray-900 dark:text-gray-100">{chat.otherUser?.nickname || chat.otherUser?.email}</h3>
-            <p className="text-xs text-indigo-500 font-medium">{chat.otherUser?.role || 'Student'}</p>
+            {typingUsers.length > 0 ? (
+              <p className="text-xs text-indigo-500 font-medium italic animate-pulse">typing…</p>
+            ) : otherOnline ? (
+              <p className="text-xs text-green-600 font-medium">Online</p>
+            ) : otherLastSeen ? (
+              <p className="text-xs text-gray-400 font-medium">{formatLastSeen(otherLastSeen, now)}</p>
+            ) : (
+              <p className="text-xs text-indigo-500 font-medium">{chat.otherUser?.role || 'Student'}</p>
+            )}
           </div>
         </div>
         <div className="flex items-center gap-4 text-gray-400">
@@ -181,28 +395,76 @@ export default function MessageArea({ chat }) {
         </div>
       </div>
 
+      <VoiceMiniPlayer
+        messages={messages}
+        getSenderName={(msg) => getSenderName(msg.sender_id)}
+        onJump={jumpToMessage}
+      />
+
       {/* Messages */}
-      <div className="flex-1 overflow-y-auto p-4 custom-scrollbar bg-gray-50 dark:bg-zinc-900/50">
+      <div
+        ref={containerRef}
+        onScroll={handleScroll}
+        style={{ overflowAnchor: 'none' }}
+        className="flex-1 overflow-y-auto p-4 custom-scrollbar bg-gray-50 dark:bg-zinc-900/50"
+      >
         {loading ? (
           <div className="flex justify-center items-center h-full">
             <Loader2 className="animate-spin text-indigo-500" />
           </div>
         ) : (
-          renderMessages()
+          <>
+            {loadingOlder && (
+              <div className="flex justify-center py-2">
+                <Loader2 size={16} className="animate-spin text-indigo-500" />
+              </div>
+            )}
+            {renderMessages()}
+          </>
         )}
-        <div ref={messagesEndRef} />
+        <div ref={endRef} />
       </div>
 
       {/* Input */}
       <div className="p-4 border-t border-gray-200 dark:border-zinc-800 bg-white dark:bg-zinc-950">
+        {editingMessage && (
+          <ComposerBanner icon={Pencil} title="Editing message" onCancel={handleCancelEdit}>
+            {editingMessage.content}
+          </ComposerBanner>
+        )}
+        {replyingTo && (
+          <ComposerBanner icon={Reply} title={`Replying to ${getSenderName(replyingTo.sender_id)}`} onCancel={() => setReplyingTo(null)}>
+            <QuoteSnippet message={replyingTo} />
+          </ComposerBanner>
+        )}
+        {upload && (
+          <ComposerBanner icon={Paperclip} title={`Uploading ${upload.name}`} onCancel={cancelUpload}>
+            <div className="flex items-center gap-2 mt-1">
+              <div className="flex-1 h-1.5 bg-gray-200 dark:bg-zinc-800 rounded-full overflow-hidden">
+                <div
+                  className="h-full bg-indigo-500 rounded-full transition-[width] duration-150"
+                  style={{ width: `${Math.round(upload.progress * 100)}%` }}
+                />
+              </div>
+              <span className="tabular-nums">{Math.round(upload.progress * 100)}%</span>
+            </div>
+          </ComposerBanner>
+        )}
         <form onSubmit={handleSend} className="flex gap-2 items-center">
 
           <VoiceRecorder onSend={handleAudioSend} onCancel={() => { }} />
+          <AttachmentButton onSelect={startUpload} disabled={!!upload || !!editingMessage} />
 
           <input
+            ref={inputRef}
             type="text"
             value={newMessage}
-            onChange={(e) => setNewMessage(e.target.value)}
+            onChange={(e) => {
+              setNewMessage(e.target.value);
+              if (editingMessage) return;
+              if (e.target.value.trim()) notifyTyping();
+              else notifyStopped();
+            }}
             placeholder="Type your message..."
             className="flex-1 p-3 bg-gray-100 dark:bg-zinc-900 rounded-xl focus:outline-none focus:ring-2 focus:ring-indigo-500 transition-all border-none"
           />
@@ -215,6 +477,17 @@ export default function MessageArea({ chat }) {
           </button>
         </form>
       </div>
+
+      <ConfirmationModal
+        isOpen={!!pendingDelete}
+        onClose={() => setPendingDelete(null)}
+        onConfirm={handleConfirmDelete}
+        title="Delete message?"
+        description="This message will be replaced with a 'message deleted' note for everyone."
+        confirmText="Delete"
+        variant="destructive"
+        isLoading={deleting}
+      />
     </div>
   );
 }
@@ -1,11 +1,48 @@
-import React from 'react';
-import { Clock, Check, Eye } from 'lucide-react';
+import React, { useState, useCallback } from 'react';
+import { Clock, Check, Eye, Pencil, Trash2, Ban, Reply, AlertCircle } from 'lucide-react';
 import AudioPlayer from './AudioPlayer';
+import AttachmentMessage from './AttachmentMessage';
+import MessageMenu from './MessageMenu';
+import QuotedMessage from './QuotedMessage';
+import MessageReactions, { ReactionBar } from './MessageReactions';
+import { PendingVoiceNote, RetryNotice } from './PendingMessage';
+import { useLongPress } from '../../hooks/useLongPress';
 
-export default function MessageBubble({ message, isOwnMessage }) {
+export default function MessageBubble({ message, isOwnMessage, currentUserId, onEdit, onDelete, onReply, onReact, onRetry, onDiscard, quotedSenderName, onQuoteClick }) {
+  const [menuPosition, setMenuPosition] = useState(null);
   const time = new Date(message.created_at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  const isDeleted = !!message.deleted_at;
+  const isPending = !!message.pending; // still in the outbox
+  const isFailed = isPending && message.status === 'failed';
+
+  const actions = [];
+  if (isPending) {
+    if (isFailed && onDiscard) actions.push({ label: 'Discard', icon: Trash2, onClick: () => onDiscard(message), destructive: true });
+  } else if (!isDeleted && onReply) {
+    actions.push({ label: 'Reply', icon: Reply, onClick: () => onReply(message) });
+  }
+  if (isOwnMessage && !isDeleted && !isPending) {
+    if (message.type === 'text' && onEdit) actions.push({ label: 'Edit', icon: Pencil, onClick: () => onEdit(message) });
+    if (onDelete) actions.push({ label: 'Delete', icon: Trash2, onClick: () => onDelete(message), destructive: true });
+  }
+
+  const openMenu = useCallback((position) => setMenuPosition(position), []);
+  const closeMenu = useCallback(() => setMenuPosition(null), []);
+  const pressHandlers = useLongPress(openMenu);
+  const canReact = !isDeleted && !isPending && !!onReact;
 
   const renderContent = () => {
+    if (isDeleted) {
+      return (
+        <p className="flex items-center gap-1.5 italic opacity-70">
+          <Ban size={14} />
+          Message deleted
+        </p>
+      );
+    }
+    if (message.type === 'audio' && isPending) {
+      return <PendingVoiceNote duration={message.metadata?.duration} />;
+    }
     if (message.type === 'audio') {
       return (
         <AudioPlayer
@@ -15,6 +52,16 @@ export default function MessageBubble({ message, isOwnMessage }) {
         />
       );
     }
+    if (message.type === 'image' || message.type === 'file') {
+      return (
+        <AttachmentMessage
+          path={message.content}
+          type={message.type}
+          metadata={message.metadata}
+          isOwn={isOwnMessage}
+        />
+      );
+    }
     return <p className="whitespace-pre-wrap break-words leading-relaxed">{message.content}</p>;
   };
 
@@ -24,6 +71,7 @@ export default function MessageBubble({ message, isOwnMessage }) {
     // Status Logic
     // 'sending' is not in DB enum but handled optimistically in UI usually
     if (message.status === 'sending') return <Clock size={12} className="text-gray-400" />;
+    if (message.status === 'failed') return <AlertCircle size={12} className="text-red-300" />;
 
     // Schema enum: 'sent', 'delivered', 'read'
     if (message.status === 'sent') return <Check size={12} className="text-gray-400" />;
@@ -35,18 +83,45 @@ export default function MessageBubble({ message, isOwnMessage }) {
 
   return (
     <div className={`flex w-full mb-4 ${isOwnMessage ? 'justify-end' : 'justify-start'}`}>
-      <div
-        className={`relative max-w-[75%] px-4 py-2 rounded-2xl shadow-sm text-sm ${isOwnMessage
-          ? 'bg-indigo-600 text-white rounded-br-none'
-          : 'bg-white dark:bg-zinc-800 text-gray-800 dark:text-gray-200 rounded-bl-none border border-gray-100 dark:border-zinc-700'
-          }`}
-      >
-        {renderContent()}
-        <div className={`flex items-center gap-1 mt-1 text-[10px] ${isOwnMessage ? 'justify-end text-indigo-200' : 'text-gray-400'}`}>
-          <span>{time}</span>
-          {renderStatus()}
+      <div className={`flex flex-col max-w-[75%] ${isOwnMessage ? 'items-end' : 'items-start'}`}>
+        <div
+          {...(actions.length > 0 || canReact ? pressHandlers : {})}
+          className={`relative max-w-full px-4 py-2 rounded-2xl shadow-sm text-sm ${isOwnMessage
+            ? 'bg-indigo-600 text-white rounded-br-none'
+            : 'bg-white dark:bg-zinc-800 text-gray-800 dark:text-gray-200 rounded-bl-none border border-gray-100 dark:border-zinc-700'
+            }`}
+        >
+          {message.reply_to && !isDeleted && (
+            <QuotedMessage
+              message={message.reply_to}
+              senderName={quotedSenderName}
+              onClick={onQuoteClick}
+              isOwn={isOwnMessage}
+            />
+          )}
+          {renderContent()}
+          <div className={`flex items-center gap-1 mt-1 text-[10px] ${isOwnMessage ? 'justify-end text-indigo-200' : 'text-gray-400'}`}>
+            {message.edited_at && !isDeleted && <span className="italic">edited</span>}
+            <span>{time}</span>
+            {renderStatus()}
+          </div>
         </div>
+        {isFailed && onRetry && <RetryNotice onRetry={() => onRetry(message)} />}
+        {!isDeleted && (
+          <MessageReactions
+            message={message}
+            currentUserId={currentUserId}
+            onReact={onReact}
+            align={isOwnMessage ? 'end' : 'start'}
+          />
+        )}
       </div>
+
+      {menuPosition && (
+        <MessageMenu position={menuPosition} actions={actions} onClose={closeMenu}>
+          {canReact && <ReactionBar message={message} currentUserId={currentUserId} onReact={onReact} />}
+        </MessageMenu>
+      )}
     </div>
   );
 }
@@ -0,0 +1,64 @@
+import React, { useEffect } from 'react';
+
+const MENU_WIDTH = 208;
+const ITEM_HEIGHT = 40;
+const HEADER_HEIGHT = 44; // reaction bar passed as children
+
+/**
+ * Floating context menu for a message bubble.
+ * actions: [{ label, icon, onClick, destructive }]
+ */
+export default function MessageMenu({ position, actions, onClose, children }) {
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+
+    window.addEventListener('click', onClose);
+    window.addEventListener('contextmenu', onClose, true);
+    window.addEventListener('scroll', onClose, true);
+    window.addEventListener('resize', onClose);
+    window.addEventListener('keydown', handleKey);
+
+    return () => {
+      window.removeEventListener('click', onClose);
+      window.removeEventListener('contextmenu', onClose, true);
+      window.removeEventListener('scroll', onClose, true);
+      window.removeEventListener('resize', onClose);
+      window.removeEventListener('keydown', handleKey);
+    };
+  }, [onClose]);
+
+  // Keep the menu inside the viewport
+  const height = actions.length * ITEM_HEIGHT + (children ? HEADER_HEIGHT : 0) + 16;
+  const style = {
+    top: Math.max(8, Math.min(position.y, window.innerHeight - height - 8)),
+    left: Math.max(8, Math.min(position.x, window.innerWidth - MENU_WIDTH - 8)),
+    width: MENU_WIDTH
+  };
+
+  return (
+    <div
+      className="fixed z-50 py-1 bg-white dark:bg-zinc-800 rounded-xl shadow-xl border border-gray-100 dark:border-zinc-700 animate-in fade-in zoom-in-95 duration-100"
+      style={style}
+      onClick={(e) => e.stopPropagation()}
+      onContextMenu={(e) => e.preventDefault()}
+    >
+      {children}
+      {actions.map(({ label, icon: Icon, onClick, destructive }) => (
+        <button
+          key={label}
+          type="button"
+          onClick={() => {
+            onClose();
+            onClick();
+          }}
+          className={`w-full flex items-center gap-3 px-3 py-2 text-sm text-left transition-colors hover:bg-gray-100 dark:hover:bg-zinc-700 ${destructive ? 'text-red-600' : 'text-gray-700 dark:text-gray-200'}`}
+        >
+          {Icon && <Icon size={16} />}
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+}
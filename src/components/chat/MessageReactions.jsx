@@ -0,0 +1,78 @@
+import React from 'react';
+
+const QUICK_REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '🙏'];
+
+const reactorName = (reaction, currentUserId) => {
+  if (reaction.user_id === currentUserId) return 'You';
+  return reaction.user?.nickname || reaction.user?.email?.split('@')[0] || 'Someone';
+};
+
+/**
+ * Row of quick reactions shown at the top of the message menu.
+ */
+export function ReactionBar({ message, currentUserId, onReact }) {
+  return (
+    <div className="flex justify-between px-2 pb-1 mb-1 border-b border-gray-100 dark:border-zinc-700">
+      {QUICK_REACTIONS.map(emoji => {
+        const active = message.reactions?.some(r => r.user_id === currentUserId && r.emoji === emoji);
+        return (
+          <button
+            key={emoji}
+            type="button"
+            onClick={() => onReact(message, emoji)}
+            className={`w-7 h-7 flex items-center justify-center rounded-full text-lg transition-transform hover:scale-125 ${active ? 'bg-gray-200 dark:bg-zinc-600' : ''}`}
+          >
+            {emoji}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+/**
+ * Aggregated reaction chips under a bubble. Hovering a chip lists who reacted;
+ * clicking it toggles my own reaction.
+ */
+export default function MessageReactions({ message, currentUserId, onReact, align = 'start', accent = 'indigo' }) {
+  const reactions = message.reactions || [];
+  if (reactions.length === 0) return null;
+
+  // Group by emoji, in order of first use
+  const groups = [];
+  reactions.forEach(reaction => {
+    let group = groups.find(g => g.emoji === reaction.emoji);
+    if (!group) {
+      group = { emoji: reaction.emoji, reactions: [] };
+      groups.push(group);
+    }
+    group.reactions.push(reaction);
+  });
+
+  const activeClasses = accent === 'emerald'
+    ? 'border-emerald-300 bg-emerald-50 dark:border-emerald-700 dark:bg-emerald-900/30'
+    : 'border-indigo-300 bg-indigo-50 dark:border-indigo-700 dark:bg-indigo-900/30';
+
+  return (
+    <div className={`flex flex-wrap gap-1 -mt-1 ${align === 'end' ? 'justify-end' : 'justify-start'}`}>
+      {groups.map(({ emoji, reactions: group }) => {
+        const mine = group.some(r => r.user_id === currentUserId);
+        return (
+          <button
+            key={emoji}
+            type="button"
+            onClick={() => onReact?.(message, emoji)}
+            title={group.map(r => reactorName(r, currentUserId)).join(', ')}
+            className={`flex items-center gap-1 px-1.5 py-0.5 rounded-full border text-xs shadow-sm transition-colors ${mine
+              ? activeClasses
+              : 'border-gray-200 bg-white dark:border-zinc-700 dark:bg-zinc-800'
+              }`}
+          >
+            <span>{emoji}</span>
+            <span className="text-gray-600 dark:text-gray-300 font-medium">{group.length}</span>
+          </button>
+        );
+      })}
+    </div>
+  );
+}
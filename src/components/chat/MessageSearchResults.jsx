@@ -0,0 +1,85 @@
+import React from 'react';
+import { GraduationCap, Loader2, SearchX } from 'lucide-react';
+
+// Wrap every occurrence of the search words in <mark>
+function HighlightedText({ text, term }) {
+  const words = term
+    .split(/\s+/)
+    .map(w => w.replace(/^[-"]+|"+$/g, ''))
+    .filter(w => w.length > 0 && w.toLowerCase() !== 'or')
+    .map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+  if (words.length === 0) return text;
+
+  const pattern = new RegExp(`(${words.join('|')})`, 'gi');
+  return text.split(pattern).map((part, i) =>
+    i % 2 === 1 ? (
+      <mark key={i} className="bg-yellow-200 dark:bg-yellow-500/40 text-inherit rounded px-0.5">{part}</mark>
+    ) : (
+      <React.Fragment key={i}>{part}</React.Fragment>
+    )
+  );
+}
+
+export default function MessageSearchResults({ groups, term, loading, onSelectResult }) {
+  const formatDate = (dateString) => {
+    const date = new Date(dateString);
+    const now = new Date();
+    if (date.toDateString() === now.toDateString()) {
+      return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+    return date.toLocaleDateString();
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-40">
+        <Loader2 className="animate-spin text-indigo-500" />
+      </div>
+    );
+  }
+
+  if (groups.length === 0) {
+    return (
+      <div className="p-8 flex flex-col items-center text-center text-gray-500 text-sm">
+        <SearchX size={32} className="mb-2 opacity-30" />
+        No messages found for "{term}"
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      {groups.map(group => (
+        <div key={group.conversationId} className="border-b border-gray-100 dark:border-zinc-900/50">
+          {/* Conversation header */}
+          <div className="px-4 py-2 flex items-center gap-2 bg-gray-50 dark:bg-zinc-900/60 text-xs font-semibold text-gray-500 uppercase tracking-wider">
+            {group.type === 'group' && <GraduationCap size={14} className="text-emerald-500" />}
+            <span className="truncate">{group.title}</span>
+            <span className="ml-auto font-normal normal-case">{group.results.length}</span>
+          </div>
+
+          {group.results.map(result => (
+            <button
+              key={result.id}
+              onClick={() => onSelectResult(group, result)}
+              className="w-full px-4 py-3 text-left hover:bg-gray-50 dark:hover:bg-zinc-900 transition-colors"
+            >
+              <div className="flex justify-between items-baseline mb-0.5">
+                <span className="text-xs font-medium text-indigo-600 dark:text-indigo-400 truncate">
+                  {result.isOwn ? 'You' : (result.sender?.nickname || result.sender?.email || 'Unknown')}
+                </span>
+                <span className="text-[10px] text-gray-400 whitespace-nowrap ml-2">
+                  {formatDate(result.created_at)}
+                </span>
+              </div>
+              <p className="text-sm text-gray-600 dark:text-gray-300 line-clamp-2 break-words">
+                <HighlightedText text={result.content} term={term} />
+              </p>
+            </button>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,33 @@
+import React from 'react';
+import { Mic, AlertCircle, RotateCw } from 'lucide-react';
+import { formatDuration } from '../../lib/duration';
+
+/**
+ * Stand-in for a voice note that is still in the outbox (not uploaded yet).
+ */
+export function PendingVoiceNote({ duration }) {
+  return (
+    <div className="flex items-center gap-2 py-1 min-w-[160px] opacity-80">
+      <Mic size={16} />
+      <span className="text-sm">Voice message</span>
+      <span className="ml-auto text-xs tabular-nums">{formatDuration(duration)}</span>
+    </div>
+  );
+}
+
+/**
+ * "Failed — tap to retry" line under a message the outbox couldn't send.
+ */
+export function RetryNotice({ onRetry, align = 'end' }) {
+  return (
+    <button
+      type="button"
+      onClick={onRetry}
+      className={`flex items-center gap-1 mt-1 text-[11px] font-medium text-red-500 hover:text-red-600 transition-colors ${align === 'end' ? 'self-end' : 'self-start'}`}
+    >
+      <AlertCircle size={12} />
+      Failed — tap to retry
+      <RotateCw size={11} className="ml-0.5" />
+    </button>
+  );
+}
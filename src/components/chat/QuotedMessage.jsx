@@ -0,0 +1,79 @@
+import React from 'react';
+import { Mic, Ban, Image, FileText } from 'lucide-react';
+import { formatDuration } from '../../lib/duration';
+import { downsamplePeaks } from '../../lib/waveform';
+
+const SNIPPET_BARS = 16;
+
+/**
+ * One-line preview of a message: text, voice note (duration + waveform), attachment or deleted.
+ */
+export function QuoteSnippet({ message }) {
+  if (!message || message.deleted_at) {
+    return (
+      <span className="flex items-center gap-1 italic">
+        <Ban size={12} />
+        Message deleted
+      </span>
+    );
+  }
+
+  if (message.type === 'audio') {
+    // The loudest peak of each slice, so short snippets keep the waveform's shape
+    const bars = downsamplePeaks(message.metadata?.waveform || [], SNIPPET_BARS);
+    return (
+      <span className="flex items-center gap-1.5">
+        <Mic size={12} className="flex-shrink-0" />
+        {bars.length > 0 && (
+          <span className="flex items-center gap-[1px] h-3 w-12">
+            {bars.map((val, i) => (
+              <span
+                key={i}
+                className="flex-1 rounded-full bg-current opacity-60"
+                style={{ height: `${Math.max(15, Math.min(100, val))}%` }}
+              />
+            ))}
+          </span>
+        )}
+        <span>{formatDuration(message.metadata?.duration)}</span>
+      </span>
+    );
+  }
+
+  if (message.type === 'image' || message.type === 'file') {
+    const Icon = message.type === 'image' ? Image : FileText;
+    return (
+      <span className="flex items-center gap-1.5 min-w-0">
+        <Icon size={12} className="flex-shrink-0" />
+        <span className="truncate">{message.type === 'image' ? 'Photo' : message.metadata?.name || 'File'}</span>
+      </span>
+    );
+  }
+
+  return <span className="block truncate">{message.content}</span>;
+}
+
+/**
+ * Quoted parent shown inside a reply bubble. Clicking it jumps to the original.
+ */
+export default function QuotedMessage({ message, senderName, onClick, isOwn = false, accent = 'indigo' }) {
+  const border = isOwn ? 'border-white/60' : accent === 'emerald' ? 'border-emerald-500' : 'border-indigo-500';
+  const surface = isOwn ? 'bg-black/10 hover:bg-black/15' : 'bg-gray-100 hover:bg-gray-200 dark:bg-zinc-900/60 dark:hover:bg-zinc-900';
+  const nameColor = isOwn ? 'text-white' : accent === 'emerald' ? 'text-emerald-600 dark:text-emerald-400' : 'text-indigo-600 dark:text-indigo-400';
+
+  return (
+    <button
+      type="button"
+      onClick={(e) => {
+        e.stopPropagation();
+        if (message) onClick?.(message.id);
+      }}
+      className={`block w-full min-w-[140px] text-left mb-1.5 pl-2 pr-3 py-1 border-l-4 rounded-md transition-colors ${border} ${surface}`}
+    >
+      <span className={`block text-xs font-semibold truncate ${nameColor}`}>{senderName}</span>
+      <span className={`block text-xs ${isOwn ? 'text-white/80' : 'text-gray-500 dark:text-gray-400'}`}>
+        <QuoteSnippet message={message} />
+      </span>
+    </button>
+  );
+}
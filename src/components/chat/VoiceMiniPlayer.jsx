@@ -0,0 +1,61 @@
+import React from 'react';
+import { Play, Pause, X, Mic } from 'lucide-react';
+import { voicePlayback } from '../../lib/voicePlayback';
+import { useVoicePlayback } from '../../hooks/useVoicePlayback';
+import { formatDuration } from '../../lib/duration';
+
+/**
+ * Bar under the chat header while one of this chat's voice notes is playing,
+ * so it can be paused or found again after scrolling away from it.
+ */
+export default function VoiceMiniPlayer({ messages, getSenderName, onJump }) {
+  const playback = useVoicePlayback();
+  const message = playback?.path
+    ? messages.find(m => m.type === 'audio' && m.content === playback.path)
+    : null;
+
+  if (!message) return null;
+
+  const progress = playback.duration ? (playback.currentTime / playback.duration) * 100 : 0;
+
+  return (
+    <div className="relative flex items-center gap-2 px-3 md:px-4 py-2 border-b border-gray-200 dark:border-zinc-800 bg-indigo-50/80 dark:bg-indigo-900/20">
+      <button
+        type="button"
+        onClick={() => playback.isPlaying ? voicePlayback.pause() : voicePlayback.play(playback.path)}
+        className="w-8 h-8 flex items-center justify-center bg-indigo-600 hover:bg-indigo-700 text-white rounded-full transition-colors flex-shrink-0"
+        title={playback.isPlaying ? 'Pause' : 'Play'}
+      >
+        {playback.isPlaying ? <Pause size={14} fill="currentColor" /> : <Play size={14} fill="currentColor" className="ml-0.5" />}
+      </button>
+
+      <button
+        type="button"
+        onClick={() => onJump(message.id)}
+        className="flex-1 min-w-0 text-left"
+        title="Show message"
+      >
+        <span className="flex items-center gap-1 text-xs font-semibold text-indigo-600 dark:text-indigo-400">
+          <Mic size={12} />
+          Voice note
+        </span>
+        <span className="block text-sm text-gray-700 dark:text-gray-300 truncate">{getSenderName(message)}</span>
+      </button>
+
+      <span className="text-[10px] text-gray-500 font-medium whitespace-nowrap">
+        {formatDuration(playback.currentTime)} / {formatDuration(playback.duration)}
+      </span>
+
+      <button
+        type="button"
+        onClick={() => voicePlayback.stop()}
+        className="p-2 text-gray-400 hover:text-gray-600 hover:bg-indigo-100 dark:hover:bg-indigo-900/40 rounded-lg transition-colors"
+        title="Stop"
+      >
+        <X size={16} />
+      </button>
+
+      <div className="absolute left-0 bottom-0 h-0.5 bg-indigo-500" style={{ width: `${progress}%` }} />
+    </div>
+  );
+}
@@ -1,11 +1,28 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { Mic, Square, Trash2, Send, Loader2 } from 'lucide-react';
+import { Mic, Square, Trash2, Send, Loader2, Pause, Play, RotateCcw } from 'lucide-react';
+import AudioPlayer from './AudioPlayer';
+import { useToast } from '../ui/Toast';
+import { useWaveformCapture } from '../../hooks/useWaveformCapture';
+import { trimAudio } from '../../lib/audioTrim';
+import { formatDuration } from '../../lib/duration';
+import { MAX_ATTACHMENT_SIZE } from '../../services/chatService';
 
 export default function VoiceRecorder({ onSend, onCancel, onRecordingStart }) {
+  const toast = useToast();
   const [isRecording, setIsRecording] = useState(false);
+  const [isPaused, setIsPaused] = useState(false);
   const [duration, setDuration] = useState(0);
   const [audioBlob, setAudioBlob] = useState(null);
   const [isProcessing, setIsProcessing] = useState(false);
+  const [waveform, setWaveform] = useState([]);
+  const [trim, setTrim] = useState(null); // { start, end } in seconds, null = whole take
+  const {
+    levels,
+    start: startCapture,
+    pause: pauseCapture,
+    resume: resumeCapture,
+    stop: stopCapture
+  } = useWaveformCapture();
 
   const mediaRecorderRef = useRef(null);
   const timerRef = useRef(null);
@@ -38,6 +55,12 @@ export default function VoiceRecorder({ onSend, onCancel, onRecordingStart }) {
     }
   };
 
+  const startTimer = () => {
+    timerRef.current = setInterval(() => {
+      setDuration(prev => prev + 1);
+    }, 1000);
+  };
+
   const startRecording = async () => {
     try {
       const stream = await navigator.mediaDevices.getUserMedia(audioConstraints);
@@ -66,12 +89,10 @@ export default function VoiceRecorder({ onSend, onCancel, onRecordingStart }) {
       };
 
       mediaRecorder.start(100); // Collect 100ms chunks
+      startCapture(stream);
+      setTrim(null);
       setIsRecording(true);
-
-      // Start timer
-      timerRef.current = setInterval(() => {
-        setDuration(prev => prev + 1);
-      }, 1000);
+      startTimer();
 
     } catch (err) {
       console.error("Error accessing microphone:", err);
@@ -79,10 +100,30 @@ export default function VoiceRecorder({ onSend, onCancel, onRecordingStart }) {
     }
   };
 
+  const pauseRecording = () => {
+    if (mediaRecorderRef.current?.state !== 'recording') return;
+
+    mediaRecorderRef.current.pause();
+    pauseCapture();
+    clearInterval(timerRef.current);
+    setIsPaused(true);
+  };
+
+  const resumeRecording = () => {
+    if (mediaRecorderRef.current?.state !== 'paused') return;
+
+    mediaRecorderRef.current.resume();
+    resumeCapture();
+    startTimer();
+    setIsPaused(false);
+  };
+
   const stopRecording = () => {
     if (mediaRecorderRef.current && isRecording) {
       mediaRecorderRef.current.stop();
+      setWaveform(stopCapture());
       setIsRecording(false);
+      setIsPaused(false);
       clearInterval(timerRef.current);
     }
   };
@@ -91,6 +132,8 @@ export default function VoiceRecorder({ onSend, onCancel, onRecordingStart }) {
     stopRecording();
     setAudioBlob(null);
     setDuration(0);
+    setWaveform([]);
+    setTrim(null);
     onCancel();
   };
 
@@ -99,11 +142,28 @@ export default function VoiceRecorder({ onSend, onCancel, onRecordingStart }) {
 
     setIsProcessing(true);
     try {
-      await onSend(audioBlob, duration);
+      // Only a trimmed take is re-encoded; an untouched one is sent as recorded
+      const take = trim ? await trimAudio(audioBlob, trim.start, trim.end) : null;
+      // Same cap as attachments; the review stays open so it can be trimmed shorter
+      if ((take ? take.blob : audioBlob).size > MAX_ATTACHMENT_SIZE) {
+        toast.error(`Voice notes must be ${MAX_ATTACHMENT_SIZE / (1024 * 1024)} MB or smaller. Trim it and try again.`);
+        return;
+      }
+      if (take) {
+        await onSend(take.blob, Math.max(1, Math.round(take.duration)), take.waveform);
+      } else {
+        await onSend(audioBlob, duration, waveform);
+      }
       // Reset after sending to clear UI
       setAudioBlob(null);
       setDuration(0);
+      setWaveform([]);
+      setTrim(null);
       setIsRecording(false);
+    } catch (err) {
+      // Keep the review open so the take isn't lost
+      console.error('Failed to send voice note:', err);
+      toast.error('Failed to send voice note. Please try again.');
     } finally {
       setIsProcessing(false);
     }
@@ -118,12 +178,6 @@ export default function VoiceRecorder({ onSend, onCancel, onRecordingStart }) {
     };
   }, []);
 
-  const formatTime = (seconds) => {
-    const mins = Math.floor(seconds / 60);
-    const secs = seconds % 60;
-    return `${mins}:${secs.toString().padStart(2, '0')}`;
-  };
-
   if (isProcessing) {
     return (
       <div className="flex items-center gap-3 p-3 bg-gray-100 dark:bg-zinc-900 rounded-xl w-full">
@@ -133,7 +187,7 @@ export default function VoiceRecorder({ onSend, onCancel, onRecordingStart }) {
     );
   }
 
-  // Preview Mode selection
+  // Review: scrub through the take and trim its start and end before sending
   if (audioBlob && !isRecording) {
     return (
       <div className="flex items-center gap-2 p-1 pl-2 bg-indigo-50 dark:bg-zinc-900/50 rounded-3xl w-full border border-indigo-100 dark:border-zinc-800 shadow-sm animate-in fade-in slide-in-from-bottom-2 duration-200">
@@ -146,31 +200,26 @@ export default function VoiceRecorder({ onSend, onCancel, onRecordingStart }) {
           <Trash2 size={18} />
         </button>
 
-        <div className="flex-1 flex items-center gap-2 overflow-hidden px-2">
-          {/* Play Preview Button */}
+        <div className="flex-1 min-w-0">
+          <AudioPlayer
+            blob={audioBlob}
+            duration={duration}
+            waveform={waveform}
+            trim={trim}
+            onTrimChange={setTrim}
+          />
+        </div>
+
+        {trim && (
           <button
             type="button"
-            onClick={() => {
-              const url = URL.createObjectURL(audioBlob);
-              const audio = new Audio(url);
-              audio.play();
-            }}
-            className="p-1.5 bg-indigo-100 dark:bg-indigo-900/30 text-indigo-600 dark:text-indigo-400 rounded-full hover:bg-indigo-200 transition-colors"
+            onClick={() => setTrim(null)}
+            className="p-2 text-indigo-600 dark:text-indigo-400 hover:bg-indigo-100 dark:hover:bg-indigo-900/30 rounded-full transition-colors flex-shrink-0"
+            title="Undo trim"
           >
-            <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor" className="ml-0.5"><path d="M8 5v14l11-7z" /></svg>
+            <RotateCcw size={18} />
           </button>
-
-          <div className="h-6 flex-1 bg-gray-200 dark:bg-zinc-800 rounded-full overflow-hidden flex items-center relative">
-            {/* Visual bar */}
-            <div className="absolute inset-0 bg-indigo-100 dark:bg-indigo-900/20 w-full" />
-            <div className="relative z-10 w-full flex justify-center gap-0.5 px-2">
-              {[...Array(15)].map((_, i) => (
-                <div key={i} className="w-1 bg-indigo-400 rounded-full opacity-60" style={{ height: `${20 + Math.random() * 60}%` }}></div>
-              ))}
-            </div>
-          </div>
-          <span className="text-[10px] text-indigo-600 dark:text-indigo-400 font-bold min-w-[2.5rem] text-right">{formatTime(duration)}</span>
-        </div>
+        )}
 
         <button
           type="button"
@@ -186,13 +235,27 @@ export default function VoiceRecorder({ onSend, onCancel, onRecordingStart }) {
   return (
     <div className={`flex items-center gap-2 transition-all duration-300 ease-in-out ${isRecording ? 'w-full' : ''}`}>
       {isRecording ? (
-        <div className="flex-1 flex items-center gap-2 bg-red-50 dark:bg-red-900/10 p-1.5 pl-3 rounded-full border border-red-100 dark:border-red-900/20 animate-pulse">
-          <div className="w-2 h-2 bg-red-500 rounded-full animate-bounce"></div>
-          <span className="font-mono text-xs text-red-600 dark:text-red-400 font-bold min-w-[2.5rem]">{formatTime(duration)}</span>
-          <span className="text-[10px] text-red-400 uppercase tracking-wider font-semibold flex-1 text-center truncate">Recording</span>
+        <div className="flex-1 flex items-center gap-2 bg-red-50 dark:bg-red-900/10 p-1.5 pl-3 rounded-full border border-red-100 dark:border-red-900/20">
+          <div className={`w-2 h-2 rounded-full ${isPaused ? 'bg-gray-400' : 'bg-red-500 animate-pulse'}`}></div>
+          <span className="font-mono text-xs text-red-600 dark:text-red-400 font-bold min-w-[2.5rem]">{formatDuration(duration)}</span>
+          {/* Live level meter, newest on the right */}
+          <div className={`flex-1 h-6 flex items-center justify-end gap-0.5 overflow-hidden ${isPaused ? 'opacity-40' : ''}`} aria-label={isPaused ? 'Paused' : 'Recording'}>
+            {levels.map((level, i) => (
+              <div key={i} className="w-1 flex-shrink-0 bg-red-400 rounded-full" style={{ height: `${Math.max(8, level * 100)}%` }}></div>
+            ))}
+          </div>
+          <button
+            type="button"
+            onClick={isPaused ? resumeRecording : pauseRecording}
+            className="p-2 bg-white dark:bg-zinc-800 text-red-500 rounded-full shadow-sm hover:scale-105 transition-transform"
+            title={isPaused ? 'Resume' : 'Pause'}
+          >
+            {isPaused ? <Play size={16} fill="currentColor" /> : <Pause size={16} fill="currentColor" />}
+          </button>
           <button
             type="button"
             onClick={stopRecording}
+            title="Stop and review"
             className="p-2 bg-white dark:bg-zinc-800 text-red-500 rounded-full shadow-sm hover:scale-105 transition-transform"
           >
             <Square size={16} fill="currentColor" />
@@ -1,6 +1,8 @@
 import React, { useEffect, useState } from 'react';
+import { supabase } from '../../lib/supabase';
 import { classroomService } from '../../services/classroomService';
-import { GraduationCap, Users, Loader2, AlertCircle, RefreshCw, Lock } from 'lucide-react';
+import { cacheService } from '../../services/cacheService';
+import { GraduationCap, Users, Loader2, AlertCircle, RefreshCw, Lock, AtSign } from 'lucide-react';
 import { useToast } from '../ui/Toast';
 
 export default function ClassroomLobby({ onSelectChat, selectedChatId }) {
@@ -11,14 +13,59 @@ export default function ClassroomLobby({ onSelectChat, selectedChatId }) {
   const [error, setError] = useState(null);
   const [retrying, setRetrying] = useState(false);
   const [joining, setJoining] = useState(false);
+  const [mentionCount, setMentionCount] = useState(0);
+
+  const classId = academyClass && !academyClass.isPreview ? academyClass.id : null;
+  const isViewingClass = !!classId && selectedChatId === classId;
 
   useEffect(() => {
     checkAccessAndFetch();
   }, []);
 
+  // Unread @mentions of me. Opening the class reads them, so recount each time I leave it.
+  useEffect(() => {
+    if (!classId || isViewingClass) return;
+
+    let channel = null;
+    let cancelled = false;
+
+    const watchMentions = async () => {
+      try {
+        const { data: { user } } = await supabase.auth.getUser();
+        if (!user) return;
+
+        const count = await classroomService.getUnreadMentionCount(classId);
+        if (cancelled) return;
+        setMentionCount(count);
+
+        channel = classroomService.subscribeToMentions(classId, user.id, () => {
+          setMentionCount(prev => prev + 1);
+        });
+      } catch (err) {
+        console.error('Error loading mentions:', err);
+      }
+    };
+    watchMentions();
+
+    return () => {
+      cancelled = true;
+      classroomService.unsubscribe(channel);
+    };
+  }, [classId, isViewingClass]);
+
   const checkAccessAndFetch = async () => {
-    setLoading(true);
     setError(null);
+
+    // Show the cached class straight away; the fetch below replaces it
+    const [cached] = await cacheService.getConversations('academy');
+    if (cached) {
+      setAcademyClass(prev => prev || cached);
+      setHasAccess(prev => prev ?? true);
+      setLoading(false);
+    } else {
+      setLoading(true);
+    }
+
     try {
       // Check access permission (academy/teacher/admin roles)
       const access = await classroomService.hasAcademyAccess();
@@ -27,12 +74,14 @@ export default function ClassroomLobby({ onSelectChat, selectedChatId }) {
       // Always try to fetch class (it will fallback to preview via RPC if not member)
       const data = await classroomService.getAcademyClass();
       setAcademyClass(data);
+      // Only a joined class is worth keeping offline; previews have no messages to show
+      if (data && !data.isPreview) cacheService.saveConversations('academy', [data]);
 
     } catch (err) {
       console.error('Error loading classroom:', err);
       // Only show error if we strictly can't load anything.
       // If unauthorized, we might expect null/error, but getAcademyClass handles it.
-      if (err.message !== 'Not authenticated') {
+      if (err.message !== 'Not authenticated' && !cached) {
         setError('Failed to load classroom. Please try again.');
       }
     } finally {
@@ -191,9 +240,19 @@ export default function ClassroomLobby({ onSelectChat, selectedChatId }) {
             </div>
           )}
 
-          {/* Active indicator */}
+          {/* Mention badge, else the active indicator */}
           {(hasAccess && !academyClass.isPreview) && (
-            <div className="w-3 h-3 rounded-full bg-emerald-500 animate-pulse flex-shrink-0" />
+            mentionCount > 0 && !isViewingClass ? (
+              <span
+                className="flex items-center gap-0.5 min-w-[22px] h-[22px] px-1.5 rounded-full bg-amber-500 text-white text-xs font-bold flex-shrink-0"
+                title={`${mentionCount} unread mention${mentionCount === 1 ? '' : 's'}`}
+              >
+                <AtSign size={12} />
+                {mentionCount > 99 ? '99+' : mentionCount}
+              </span>
+            ) : (
+              <div className="w-3 h-3 rounded-full bg-emerald-500 animate-pulse flex-shrink-0" />
+            )
           )}
         </button>
       </div>
@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { supabase } from '../../lib/supabase';
 import { classroomService } from '../../services/classroomService';
+import { useDoNotDisturb } from '../../hooks/useMessageAlerts';
 import StageParticipant from './StageParticipant';
 import RaiseHandButton from './RaiseHandButton';
 import {
@@ -39,6 +40,9 @@ export default function GroupCallStage({ chat, onEndCall }) {
   const [currentUser, setCurrentUser] = useState(null);
   const [isTeacherOrAdmin, setIsTeacherOrAdmin] = useState(false);
 
+  // No message sounds while in the call
+  useDoNotDisturb();
+
   // LiveKit URL from env
   const liveKitUrl = import.meta.env.VITE_LIVEKIT_URL;
 
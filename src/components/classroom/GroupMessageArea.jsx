@@ -3,8 +3,31 @@ import { classroomService } from '../../services/classroomService';
 import { supabase } from '../../lib/supabase';
 import GroupMessageBubble from './GroupMessageBubble';
 import VoiceRecorder from '../chat/VoiceRecorder';
+import VoiceMiniPlayer from '../chat/VoiceMiniPlayer';
+import ComposerBanner from '../chat/ComposerBanner';
+import MentionSuggestions from './MentionSuggestions';
+import PinnedBanner from './PinnedBanner';
+import PinnedPanel from './PinnedPanel';
+import ThreadPanel from './ThreadPanel';
+import ReadReceiptsModal from './ReadReceiptsModal';
+import AttachmentButton from '../chat/AttachmentButton';
+import { QuoteSnippet } from '../chat/QuotedMessage';
 import { useToast } from '../ui/Toast';
+import { ConfirmationModal } from '../ui/ConfirmationModal';
+import { chatService } from '../../services/chatService';
 import { useAutoRetry } from '../../hooks/useNetworkStatus';
+import { useChatScroll } from '../../hooks/useChatScroll';
+import { useScrollToMessage } from '../../hooks/useScrollToMessage';
+import { useAttachmentUpload } from '../../hooks/useAttachmentUpload';
+import { useOutbox, mergeConfirmed } from '../../hooks/useOutbox';
+import { outboxService } from '../../services/outboxService';
+import { cacheService } from '../../services/cacheService';
+import { useMessageCache, mergeLatestPage, bridgesCache } from '../../hooks/useMessageCache';
+import { useMessageReactions } from '../../hooks/useMessageReactions';
+import { useMentions } from '../../hooks/useMentions';
+import { usePinnedMessages } from '../../hooks/usePinnedMessages';
+import { useVoiceNoteAutoplay } from '../../hooks/useVoicePlayback';
+import { useTypingIndicator, describeTyping } from '../../hooks/useTypingIndicator';
 import {
   Send,
   MoreVertical,
@@ -13,10 +36,37 @@ import {
   Users,
   ArrowLeft,
   AlertCircle,
-  RefreshCw
+  RefreshCw,
+  Pencil,
+  Reply,
+  Paperclip
 } from 'lucide-react';
 import { useNavigate } from 'react-router-dom';
 
+// Replier avatars shown under a thread root (matches the service's summary)
+const THREAD_REPLIER_LIMIT = 3;
+
+// Fold a live reply into its root's thread summary
+const addThreadReply = (thread, reply, { isMine, isOpen }) => {
+  const current = thread || { count: 0, unread: 0, lastReplyAt: null, repliers: [] };
+  const repliers = reply.sender
+    ? [reply.sender, ...current.repliers.filter(p => p.id !== reply.sender.id)].slice(0, THREAD_REPLIER_LIMIT)
+    : current.repliers;
+
+  return {
+    count: current.count + 1,
+    unread: isMine || isOpen ? current.unread : current.unread + 1,
+    lastReplyAt: reply.created_at,
+    repliers
+  };
+};
+
+// A reply was deleted; deleted replies don't count (same as the service's summary)
+const removeThreadReply = (thread) => thread && {
+  ...thread,
+  count: Math.max(0, thread.count - 1)
+};
+
 export default function GroupMessageArea({ chat, onStartCall }) {
   const navigate = useNavigate();
   const toast = useToast();
@@ -24,13 +74,55 @@ export default function GroupMessageArea({ chat, onStartCall }) {
   const [newMessage, setNewMessage] = useState('');
   const [loading, setLoading] = useState(false);
   const [sending, setSending] = useState(false);
+  const [editingMessage, setEditingMessage] = useState(null);
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [pendingDelete, setPendingDelete] = useState(null);
+  const [showPinned, setShowPinned] = useState(false);
+  const [threadRoot, setThreadRoot] = useState(null);
+  const [receiptsFor, setReceiptsFor] = useState(null);
+  const [deleting, setDeleting] = useState(false);
+  const inputRef = useRef(null);
   const [currentUser, setCurrentUser] = useState(null);
   const [error, setError] = useState(null);
   const [isTeacherOrAdmin, setIsTeacherOrAdmin] = useState(false);
   const [retrying, setRetrying] = useState(false);
-  const messagesEndRef = useRef(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const loadingOlderRef = useRef(false);
   const channelRef = useRef(null);
   const readChannelRef = useRef(null);
+  const openThreadIdRef = useRef(null);
+
+  // @mention autocomplete; @everyone is for teachers and admins only
+  const mentions = useMentions(chat?.members, {
+    currentUserId: currentUser?.id,
+    allowEveryone: isTeacherOrAdmin,
+    value: newMessage,
+    onChange: setNewMessage,
+    inputRef
+  });
+
+  // A reply/edit in progress belongs to the previous classroom
+  const [composerChatId, setComposerChatId] = useState(chat?.id);
+  if (chat?.id !== composerChatId) {
+    setComposerChatId(chat?.id);
+    setReplyingTo(null);
+    setShowPinned(false);
+    setThreadRoot(null);
+    setReceiptsFor(null);
+    mentions.reset();
+    if (editingMessage) {
+      setEditingMessage(null);
+      setNewMessage('');
+    }
+  }
+
+  const { typingUsers, handleTypingEvent, notifyTyping, notifyStopped } = useTypingIndicator(
+    channelRef,
+    chat?.id,
+    currentUser?.id,
+    currentUser?.user_metadata?.nickname || currentUser?.email?.split('@')[0]
+  );
 
   // Get current user on mount
   useEffect(() => {
@@ -49,11 +141,33 @@ export default function GroupMessageArea({ chat, onStartCall }) {
   const loadMessages = useCallback(async () => {
     if (!chat?.id || !currentUser) return;
 
-    setLoading(true);
     setError(null);
+
+    // Render from the offline cache first, then refresh it with the latest page
+    const cached = await cacheService.getMessages(chat.id);
+    // Unsent messages from the outbox stay at the bottom until they go through
+    const pending = (await outboxService.list(chat.id))
+      .filter(e => !e.thread_id)
+      .map(outboxService.toMessage);
+    const newest = cached[cached.length - 1];
+
+    if (newest) {
+      setMessages([...cached, ...pending]);
+      setHasMore(true);
+    } else {
+      setLoading(true);
+    }
+
     try {
-      const data = await classroomService.getGroupMessages(chat.id);
-      setMessages(data);
+      const { messages: data, hasMore: more } = await classroomService.getGroupMessages(chat.id);
+
+      if (newest && bridgesCache(data, more, newest)) {
+        setMessages(prev => mergeLatestPage(prev, data));
+      } else {
+        // No cache, or too much is new to bridge the gap: start from the latest page
+        setMessages([...data, ...pending]);
+        setHasMore(more);
+      }
 
       // Mark all messages as read
       const unreadMessageIds = data
@@ -63,9 +177,12 @@ export default function GroupMessageArea({ chat, onStartCall }) {
       if (unreadMessageIds.length > 0) {
         await classroomService.markMessagesRead(unreadMessageIds);
       }
+      // Unread counts (the tab badge) go by last_read_at
+      chatService.markConversationRead(chat.id);
     } catch (err) {
       console.error('Error loading messages:', err);
-      setError('Failed to load messages. Please try again.');
+      // Offline with cached history: keep showing it instead of the error screen
+      if (!newest) setError('Failed to load messages. Please try again.');
     } finally {
       setLoading(false);
     }
@@ -79,6 +196,11 @@ export default function GroupMessageArea({ chat, onStartCall }) {
     }
   }, [loadMessages, currentUser]);
 
+  // The realtime handler needs the open thread without resubscribing
+  useEffect(() => {
+    openThreadIdRef.current = threadRoot?.id || null;
+  }, [threadRoot]);
+
   // Realtime subscription
   useEffect(() => {
     if (!chat?.id || !currentUser) return;
@@ -87,15 +209,37 @@ export default function GroupMessageArea({ chat, onStartCall }) {
     channelRef.current = classroomService.subscribeToMessages(
       chat.id,
       (newMsg) => {
-        setMessages(prev => [...prev, newMsg]);
+        // Seen while the class is open, so it doesn't count as unread later
+        if (newMsg.sender_id !== currentUser.id) chatService.markConversationRead(chat.id);
+
+        // Thread replies only bump their root's summary; the panel shows the reply itself
+        if (newMsg.thread_id) {
+          const isMine = newMsg.sender_id === currentUser.id;
+          const isOpen = openThreadIdRef.current === newMsg.thread_id;
+          setMessages(prev => prev.map(m =>
+            m.id === newMsg.thread_id ? { ...m, thread: addThreadReply(m.thread, newMsg, { isMine, isOpen }) } : m
+          ));
+          return;
+        }
+
+        setMessages(prev => mergeConfirmed(prev, newMsg));
         // Auto-mark as read if from others
         if (newMsg.sender_id !== currentUser.id) {
           classroomService.markMessageRead(newMsg.id);
         }
       },
       (updatedMsg) => {
-        setMessages(prev => prev.map(m => m.id === updatedMsg.id ? { ...m, ...updatedMsg } : m));
-      }
+        // Also refresh quotes of the updated message (edits, deletes). A message is only
+        // deleted once, so an update carrying deleted_at is the delete itself.
+        const deletedReply = updatedMsg.thread_id && updatedMsg.deleted_at;
+        setMessages(prev => prev.map(m => {
+          if (m.id === updatedMsg.id) return { ...m, ...updatedMsg };
+          if (deletedReply && m.id === updatedMsg.thread_id) return { ...m, thread: removeThreadReply(m.thread) };
+          if (m.reply_to?.id === updatedMsg.id) return { ...m, reply_to: { ...m.reply_to, ...updatedMsg } };
+          return m;
+        }));
+      },
+      handleTypingEvent
     );
 
     // Subscribe to read count updates
@@ -112,12 +256,97 @@ export default function GroupMessageArea({ chat, onStartCall }) {
       classroomService.unsubscribe(channelRef.current);
       classroomService.unsubscribe(readChannelRef.current);
     };
-  }, [chat?.id, currentUser]);
+  }, [chat?.id, currentUser, handleTypingEvent]);
 
-  // Auto-scroll to bottom
-  useEffect(() => {
-    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-  }, [messages]);
+  const handleReactionError = useCallback(() => {
+    toast.error('Failed to update reaction. Please try again.');
+  }, [toast]);
+
+  const toggleReaction = useMessageReactions(chat?.id, currentUser?.id, setMessages, handleReactionError);
+
+  useMessageCache(chat?.id, messages, loading);
+
+  const handlePinError = useCallback(() => {
+    toast.error('Failed to update pinned messages. Please try again.');
+  }, [toast]);
+
+  const { pins, isPinned, togglePin } = usePinnedMessages(chat?.id, handlePinError);
+
+  // Prefer the loaded copy of a pinned message, so edits and deletes show right away
+  const livePins = pins.map(pin => {
+    const loaded = messages.find(m => m.id === pin.message_id);
+    return loaded ? { ...pin, message: { ...pin.message, ...loaded } } : pin;
+  });
+
+  const { send: queueMessage, retry: retryMessage, discard: discardMessage } = useOutbox(
+    chat?.id,
+    'group',
+    currentUser?.id,
+    setMessages
+  );
+
+  // Load the next page of history when scrolled to the top
+  const loadOlderMessages = useCallback(async () => {
+    if (!chat?.id || loadingOlderRef.current || messages.length === 0) return;
+
+    loadingOlderRef.current = true;
+    setLoadingOlder(true);
+    try {
+      const { messages: older, hasMore: more } = await classroomService.getGroupMessages(chat.id, {
+        before: messages[0]
+      });
+      setMessages(prev => [...older, ...prev]);
+      setHasMore(more);
+
+      const unreadMessageIds = older
+        .filter(m => m.sender_id !== currentUser?.id)
+        .map(m => m.id);
+      if (unreadMessageIds.length > 0) {
+        classroomService.markMessagesRead(unreadMessageIds);
+      }
+    } catch (err) {
+      console.error('Error loading older messages:', err);
+      toast.error('Failed to load older messages.');
+    } finally {
+      loadingOlderRef.current = false;
+      setLoadingOlder(false);
+    }
+  }, [chat?.id, messages, currentUser, toast]);
+
+  // Auto-scroll to bottom for new messages, keep position when history is prepended
+  const { containerRef, endRef, handleScroll } = useChatScroll(messages, {
+    hasMore,
+    onReachTop: loadOlderMessages
+  });
+
+  // Jump to ?message=<id> (search results, quoted replies), paging back as needed
+  const jumpToMessage = useScrollToMessage({
+    conversationId: chat?.id,
+    messages,
+    loading,
+    hasMore,
+    loadOlder: loadOlderMessages,
+    containerRef
+  });
+
+  // Keep playing through a run of voice notes
+  useVoiceNoteAutoplay(messages, currentUser?.id);
+
+  const openThread = (message) => {
+    setShowPinned(false);
+    setThreadRoot(message);
+  };
+
+  const handleThreadRead = useCallback((rootId) => {
+    setMessages(prev => prev.map(m =>
+      m.id === rootId && m.thread?.unread ? { ...m, thread: { ...m.thread, unread: 0 } } : m
+    ));
+  }, []);
+
+  const handleJumpToPin = (messageId) => {
+    setShowPinned(false);
+    jumpToMessage(messageId);
+  };
 
   const handleRetry = async () => {
     setRetrying(true);
@@ -129,35 +358,106 @@ export default function GroupMessageArea({ chat, onStartCall }) {
     e.preventDefault();
     if (!newMessage.trim() || sending || !chat?.id) return;
 
+    notifyStopped();
+
+    // New messages show up at once and are delivered through the outbox
+    const mentioned = mentions.collect(newMessage);
+
+    if (!editingMessage) {
+      queueMessage({
+        content: newMessage,
+        replyTo: replyingTo,
+        metadata: mentioned.length > 0 ? { mentions: mentioned } : {}
+      });
+      setReplyingTo(null);
+      setNewMessage('');
+      mentions.reset();
+      return;
+    }
+
     setSending(true);
     try {
-      await classroomService.sendGroupMessage(chat.id, newMessage);
+      const updated = await chatService.editMessage(editingMessage.id, newMessage.trim(), {
+        ...editingMessage.metadata,
+        mentions: mentioned
+      });
+      setMessages(prev => prev.map(m => m.id === updated.id ? { ...m, ...updated } : m));
+      setEditingMessage(null);
       setNewMessage('');
+      mentions.reset();
     } catch (err) {
-      console.error('Failed to send:', err);
-      toast.error('Failed to send message. Please try again.');
+      console.error('Failed to edit:', err);
+      toast.error('Failed to edit message. Please try again.');
     } finally {
       setSending(false);
     }
   };
 
+  const handleStartReply = (message) => {
+    if (editingMessage) handleCancelEdit();
+    setReplyingTo(message);
+    inputRef.current?.focus();
+  };
+
+  const handleStartEdit = (message) => {
+    setReplyingTo(null);
+    setEditingMessage(message);
+    setNewMessage(message.content);
+    mentions.reset(message.metadata?.mentions || []);
+    inputRef.current?.focus();
+  };
+
+  const handleCancelEdit = () => {
+    setEditingMessage(null);
+    setNewMessage('');
+    mentions.reset();
+  };
+
+  const handleConfirmDelete = async () => {
+    if (!pendingDelete) return;
+
+    setDeleting(true);
+    try {
+      const deleted = await chatService.deleteMessage(pendingDelete);
+      setMessages(prev => prev.map(m => m.id === deleted.id ? { ...m, ...deleted } : m));
+      if (editingMessage?.id === deleted.id) handleCancelEdit();
+      if (replyingTo?.id === deleted.id) setReplyingTo(null);
+    } catch (err) {
+      console.error('Failed to delete message:', err);
+      toast.error('Failed to delete message. Please try again.');
+    } finally {
+      setDeleting(false);
+      setPendingDelete(null);
+    }
+  };
+
   const handleAudioSend = async (blob, duration, waveform) => {
     if (!chat?.id) return;
-    try {
-      const file = new File([blob], 'voice-note.webm', { type: blob.type });
-      const { path } = await classroomService.uploadVoiceNote(chat.id, file);
-      await classroomService.sendGroupMessage(chat.id, path, 'audio', {
+
+    // The outbox uploads the recording, then sends the message
+    queueMessage({
+      type: 'audio',
+      blob,
+      replyTo: replyingTo,
+      metadata: {
         duration,
         mime_type: blob.type,
         size: blob.size,
         waveform: waveform || []
-      });
-    } catch (err) {
-      console.error('Failed to send voice note:', err);
-      toast.error('Failed to send voice note. Please try again.');
-    }
+      }
+    });
+    setReplyingTo(null);
   };
 
+  const sendAttachment = useCallback(async (path, type, metadata) => {
+    await classroomService.sendGroupMessage(chat.id, path, type, metadata, replyingTo?.id);
+    setReplyingTo(null);
+  }, [chat?.id, replyingTo]);
+
+  const handleAttachmentError = useCallback((message) => toast.error(message), [toast]);
+
+  const { upload, startUpload, cancelUpload } = useAttachmentUpload(chat?.id, sendAttachment, handleAttachmentError);
+
   // Group messages by date
   const renderMessages = () => {
     let lastDate = null;
@@ -167,7 +467,7 @@ export default function GroupMessageArea({ chat, onStartCall }) {
       lastDate = msgDate;
 
       return (
-        <React.Fragment key={msg.id}>
+        <React.Fragment key={msg.client_id || msg.id}>
           {showDate && (
             <div className="flex justify-center my-4">
               <span className="bg-gray-100 dark:bg-zinc-800 text-gray-500 text-xs px-3 py-1 rounded-full">
@@ -179,11 +479,24 @@ export default function GroupMessageArea({ chat, onStartCall }) {
               </span>
             </div>
           )}
-          <GroupMessageBubble
-            message={msg}
-            isOwnMessage={msg.sender_id === currentUser?.id}
-            currentUserId={currentUser?.id}
-          />
+          <div data-message-id={msg.id} className="transition-colors duration-500">
+            <GroupMessageBubble
+              message={msg}
+              isOwnMessage={msg.sender_id === currentUser?.id}
+              currentUserId={currentUser?.id}
+              onEdit={handleStartEdit}
+              onDelete={setPendingDelete}
+              onReply={handleStartReply}
+              onReact={toggleReaction}
+              onRetry={retryMessage}
+              onDiscard={discardMessage}
+              onQuoteClick={jumpToMessage}
+              isPinned={isPinned(msg.id)}
+              onTogglePin={isTeacherOrAdmin ? togglePin : undefined}
+              onReplyInThread={msg.pending ? undefined : openThread}
+              onShowReaders={setReceiptsFor}
+            />
+          </div>
         </React.Fragment>
       );
     });
@@ -302,7 +615,7 @@ export default function GroupMessageArea({ chat, onStartCall }) {
   };
 
   return (
-    <div className="flex-1 flex flex-col h-full bg-white dark:bg-zinc-950">
+    <div className="relative flex-1 flex flex-col h-full bg-white dark:bg-zinc-950">
       {/* Header */}
       <div className="p-3 md:p-4 border-b border-gray-200 dark:border-zinc-800 flex justify-between items-center bg-white dark:bg-zinc-950 sticky top-0 z-10">
         <div className="flex items-center gap-3">
@@ -323,9 +636,15 @@ export default function GroupMessageArea({ chat, onStartCall }) {
             <h3 className="font-bold text-gray-900 dark:text-gray-100 truncate text-sm md:text-base">
               {chat.name || 'Academy Class'}
             </h3>
-            <p className="text-xs text-emerald-600 font-medium">
-              {chat.memberCount || 0} members
-            </p>
+            {typingUsers.length > 0 ? (
+              <p className="text-xs text-emerald-600 font-medium italic truncate animate-pulse">
+                {describeTyping(typingUsers)}
+              </p>
+            ) : (
+              <p className="text-xs text-emerald-600 font-medium">
+                {chat.memberCount || 0} members
+              </p>
+            )}
           </div>
         </div>
 
@@ -339,8 +658,62 @@ export default function GroupMessageArea({ chat, onStartCall }) {
         </div>
       </div>
 
+      <PinnedBanner
+        pins={livePins.filter(p => !p.message.deleted_at)}
+        onJump={handleJumpToPin}
+        onOpenList={() => {
+          setThreadRoot(null);
+          setShowPinned(true);
+        }}
+      />
+
+      <VoiceMiniPlayer
+        messages={messages}
+        getSenderName={(msg) => msg.sender_id === currentUser?.id
+          ? 'You'
+          : msg.sender?.nickname || msg.sender?.email?.split('@')[0] || 'Unknown'}
+        onJump={jumpToMessage}
+      />
+
+      {showPinned && (
+        <PinnedPanel
+          pins={livePins}
+          canUnpin={isTeacherOrAdmin}
+          onJump={handleJumpToPin}
+          onUnpin={togglePin}
+          onClose={() => setShowPinned(false)}
+        />
+      )}
+
+      {receiptsFor && (
+        <ReadReceiptsModal
+          key={receiptsFor.id}
+          message={receiptsFor}
+          conversationId={chat.id}
+          members={chat.members}
+          onClose={() => setReceiptsFor(null)}
+        />
+      )}
+
+      {threadRoot && (
+        <ThreadPanel
+          key={threadRoot.id}
+          chat={chat}
+          root={messages.find(m => m.id === threadRoot.id) || threadRoot}
+          currentUser={currentUser}
+          isTeacherOrAdmin={isTeacherOrAdmin}
+          onClose={() => setThreadRoot(null)}
+          onRead={handleThreadRead}
+        />
+      )}
+
       {/* Messages Area */}
-      <div className="flex-1 overflow-y-auto p-3 md:p-4 custom-scrollbar bg-gray-50 dark:bg-zinc-900/50">
+      <div
+        ref={containerRef}
+        onScroll={handleScroll}
+        style={{ overflowAnchor: 'none' }}
+        className="flex-1 overflow-y-auto p-3 md:p-4 custom-scrollbar bg-gray-50 dark:bg-zinc-900/50"
+      >
         {loading ? (
           <div className="flex justify-center items-center h-full">
             <Loader2 className="animate-spin text-emerald-500" size={32} />
@@ -363,20 +736,73 @@ export default function GroupMessageArea({ chat, onStartCall }) {
             <p>No messages yet. Start the conversation!</p>
           </div>
         ) : (
-          renderMessages()
+          <>
+            {loadingOlder && (
+              <div className="flex justify-center py-2">
+                <Loader2 size={16} className="animate-spin text-emerald-500" />
+              </div>
+            )}
+            {renderMessages()}
+          </>
         )}
-        <div ref={messagesEndRef} />
+        <div ref={endRef} />
       </div>
 
       {/* Input Area */}
       <div className="p-3 md:p-4 border-t border-gray-200 dark:border-zinc-800 bg-white dark:bg-zinc-950">
-        <form onSubmit={handleSend} className="flex gap-2 items-center">
+        {editingMessage && (
+          <ComposerBanner icon={Pencil} title="Editing message" onCancel={handleCancelEdit} accent="emerald">
+            {editingMessage.content}
+          </ComposerBanner>
+        )}
+        {replyingTo && (
+          <ComposerBanner
+            icon={Reply}
+            title={`Replying to ${replyingTo.sender_id === currentUser?.id
+              ? 'You'
+              : replyingTo.sender?.nickname || replyingTo.sender?.email?.split('@')[0] || 'Unknown'}`}
+            onCancel={() => setReplyingTo(null)}
+            accent="emerald"
+          >
+            <QuoteSnippet message={replyingTo} />
+          </ComposerBanner>
+        )}
+        {upload && (
+          <ComposerBanner icon={Paperclip} title={`Uploading ${upload.name}`} onCancel={cancelUpload} accent="emerald">
+            <div className="flex items-center gap-2 mt-1">
+              <div className="flex-1 h-1.5 bg-gray-200 dark:bg-zinc-800 rounded-full overflow-hidden">
+                <div
+                  className="h-full bg-emerald-500 rounded-full transition-[width] duration-150"
+                  style={{ width: `${Math.round(upload.progress * 100)}%` }}
+                />
+              </div>
+              <span className="tabular-nums">{Math.round(upload.progress * 100)}%</span>
+            </div>
+          </ComposerBanner>
+        )}
+        <form onSubmit={handleSend} className="relative flex gap-2 items-center">
+          <MentionSuggestions
+            suggestions={mentions.suggestions}
+            activeIndex={mentions.activeIndex}
+            onSelect={mentions.select}
+            onHover={mentions.setActiveIndex}
+          />
           <VoiceRecorder onSend={handleAudioSend} onCancel={() => { }} />
+          <AttachmentButton onSelect={startUpload} disabled={!!upload || !!editingMessage} accent="emerald" />
 
           <input
+            ref={inputRef}
             type="text"
             value={newMessage}
-            onChange={(e) => setNewMessage(e.target.value)}
+            onChange={(e) => {
+              setNewMessage(e.target.value);
+              mentions.handleInput(e.target.value, e.target.selectionStart);
+              if (editingMessage) return;
+              if (e.target.value.trim()) notifyTyping();
+              else notifyStopped();
+            }}
+            onKeyDown={mentions.handleKeyDown}
+            onBlur={mentions.close}
             placeholder="Type your message..."
             className="flex-1 p-3 bg-gray-100 dark:bg-zinc-900 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500 transition-all border-none text-sm md:text-base"
           />
@@ -390,6 +816,17 @@ export default function GroupMessageArea({ chat, onStartCall }) {
           </button>
         </form>
       </div>
+
+      <ConfirmationModal
+        isOpen={!!pendingDelete}
+        onClose={() => setPendingDelete(null)}
+        onConfirm={handleConfirmDelete}
+        title="Delete message?"
+        description="This message will be replaced with a 'message deleted' note for everyone in the class."
+        confirmText="Delete"
+        variant="destructive"
+        isLoading={deleting}
+      />
     </div>
   );
 }
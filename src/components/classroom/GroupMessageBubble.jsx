@@ -1,10 +1,60 @@
-import React from 'react';
+import React, { useState, useCallback } from 'react';
 import { supabase } from '../../lib/supabase';
-import { Check, CheckCheck, Clock, User, Mic } from 'lucide-react';
+import { Check, CheckCheck, Clock, User, Mic, Pencil, Trash2, Ban, Reply, AlertCircle, Pin, PinOff, MessagesSquare } from 'lucide-react';
 import AudioPlayer from '../chat/AudioPlayer';
+import AttachmentMessage from '../chat/AttachmentMessage';
+import MessageMenu from '../chat/MessageMenu';
+import QuotedMessage from '../chat/QuotedMessage';
+import MentionText from './MentionText';
+import ThreadSummary from './ThreadSummary';
+import MessageReactions, { ReactionBar } from '../chat/MessageReactions';
+import { PendingVoiceNote, RetryNotice } from '../chat/PendingMessage';
+import { useLongPress } from '../../hooks/useLongPress';
 
-export default function GroupMessageBubble({ message, isOwnMessage, currentUserId }) {
-  const { content, type, created_at, readCount, sender, metadata } = message;
+export default function GroupMessageBubble({ message, isOwnMessage, currentUserId, onEdit, onDelete, onReply, onReact, onRetry, onDiscard, onQuoteClick, isPinned, onTogglePin, onReplyInThread, onShowReaders }) {
+  const { content, type, created_at, readCount, sender, metadata, edited_at, deleted_at, reply_to } = message;
+  const [menuPosition, setMenuPosition] = useState(null);
+  const isDeleted = !!deleted_at;
+  const isPending = !!message.pending; // still in the outbox
+  const isFailed = isPending && message.status === 'failed';
+
+  const actions = [];
+  if (isPending) {
+    if (isFailed && onDiscard) actions.push({ label: 'Discard', icon: Trash2, onClick: () => onDiscard(message), destructive: true });
+  } else if (!isDeleted) {
+    if (onReply) actions.push({ label: 'Reply', icon: Reply, onClick: () => onReply(message) });
+    if (onReplyInThread) actions.push({ label: 'Reply in thread', icon: MessagesSquare, onClick: () => onReplyInThread(message) });
+  }
+  // Only teachers and admins get onTogglePin
+  if (!isDeleted && !isPending && onTogglePin) {
+    actions.push({ label: isPinned ? 'Unpin' : 'Pin', icon: isPinned ? PinOff : Pin, onClick: () => onTogglePin(message) });
+  }
+  if (isOwnMessage && !isDeleted && !isPending) {
+    if (type === 'text' && onEdit) actions.push({ label: 'Edit', icon: Pencil, onClick: () => onEdit(message) });
+    if (onDelete) actions.push({ label: 'Delete', icon: Trash2, onClick: () => onDelete(message), destructive: true });
+  }
+
+  const openMenu = useCallback((position) => setMenuPosition(position), []);
+  const closeMenu = useCallback(() => setMenuPosition(null), []);
+  const pressHandlers = useLongPress(openMenu);
+  const canReact = !isDeleted && !isPending && !!onReact;
+  const bubbleHandlers = actions.length > 0 || canReact ? pressHandlers : {};
+
+  const renderMenu = () => menuPosition && (
+    <MessageMenu position={menuPosition} actions={actions} onClose={closeMenu}>
+      {canReact && <ReactionBar message={message} currentUserId={currentUserId} onReact={onReact} />}
+    </MessageMenu>
+  );
+
+  const renderReactions = (align) => !isDeleted && (
+    <MessageReactions
+      message={message}
+      currentUserId={currentUserId}
+      onReact={onReact}
+      align={align}
+      accent="emerald"
+    />
+  );
 
   // Format time
   const time = new Date(created_at).toLocaleTimeString([], {
@@ -15,19 +65,59 @@ export default function GroupMessageBubble({ message, isOwnMessage, currentUserI
   const renderReadStatus = () => {
     if (!isOwnMessage) return null;
 
-    if (readCount > 0) {
+    if (isFailed) return <AlertCircle size={14} className="text-red-500" />;
+    if (isPending) return <Clock size={14} className="text-gray-400" />;
+
+    const status = readCount > 0 ? (
+      <div className="flex items-center gap-0.5 text-emerald-500" title={`${readCount} read`}>
+        <span className="text-[10px] font-medium">{readCount} read</span>
+        <CheckCheck size={14} />
+      </div>
+    ) : (
+      <Check size={14} className="text-gray-400" />
+    );
+    if (!onShowReaders || isDeleted) return status;
+
+    // Tapping the receipt lists who has (and hasn't) read it
+    return (
+      <button type="button" onClick={() => onShowReaders(message)} className="rounded hover:opacity-75 transition-opacity" title="See who read this">
+        {status}
+      </button>
+    );
+  };
+
+  const renderQuote = () => {
+    if (!reply_to || isDeleted) return null;
+
+    const quotedName = reply_to.sender_id === currentUserId
+      ? 'You'
+      : reply_to.sender?.nickname || reply_to.sender?.email?.split('@')[0] || 'Unknown';
+
+    return (
+      <QuotedMessage
+        message={reply_to}
+        senderName={quotedName}
+        onClick={onQuoteClick}
+        isOwn={isOwnMessage}
+        accent="emerald"
+      />
+    );
+  };
+
+  const renderContent = () => {
+    if (isDeleted) {
       return (
-        <div className="flex items-center gap-0.5 text-emerald-500" title={`${readCount} read`}>
-          <span className="text-[10px] font-medium">{readCount} read</span>
-          <CheckCheck size={14} />
-        </div>
+        <p className="flex items-center gap-1.5 text-sm italic opacity-70">
+          <Ban size={14} />
+          Message deleted
+        </p>
       );
     }
 
-    return <Check size={14} className="text-gray-400" />;
-  };
+    if (type === 'audio' && isPending) {
+      return <PendingVoiceNote duration={metadata?.duration} />;
+    }
 
-  const renderContent = () => {
     if (type === 'audio') {
       return (
         <div className="min-w-[200px]">
@@ -40,7 +130,25 @@ export default function GroupMessageBubble({ message, isOwnMessage, currentUserI
       );
     }
 
-    return <p className="text-sm md:text-base break-words whitespace-pre-wrap">{content}</p>;
+    if (type === 'image' || type === 'file') {
+      return (
+        <AttachmentMessage
+          path={content}
+          type={type}
+          metadata={metadata}
+          isOwn={isOwnMessage}
+        />
+      );
+    }
+
+    return (
+      <MentionText
+        content={content}
+        mentions={metadata?.mentions}
+        currentUserId={currentUserId}
+        isOwn={isOwnMessage}
+      />
+    );
   };
 
   const senderName = sender?.nickname || sender?.email?.split('@')[0] || 'Unknown';
@@ -52,15 +160,25 @@ export default function GroupMessageBubble({ message, isOwnMessage, currentUserI
         <div className="flex items-end gap-2 max-w-[85%] md:max-w-[75%]">
           {/* Time and Read Count - LEFT side for own messages */}
           <div className="flex flex-col items-end justify-end gap-0.5 pb-1 min-w-[50px]">
+            {edited_at && !isDeleted && <span className="text-[10px] text-gray-400 italic">edited</span>}
+            {isPinned && !isDeleted && <Pin size={10} className="text-emerald-500 fill-current" aria-label="Pinned" />}
             <span className="text-[10px] text-gray-400 whitespace-nowrap">{time}</span>
             {renderReadStatus()}
           </div>
 
           {/* Message Bubble */}
-          <div className="relative px-4 py-2.5 rounded-2xl rounded-br-sm bg-emerald-600 text-white shadow-sm">
-            {renderContent()}
+          <div className="flex flex-col items-end min-w-0">
+            <div {...bubbleHandlers} className="relative max-w-full px-4 py-2.5 rounded-2xl rounded-br-sm bg-emerald-600 text-white shadow-sm">
+              {renderQuote()}
+              {renderContent()}
+            </div>
+            {isFailed && onRetry && <RetryNotice onRetry={() => onRetry(message)} />}
+            {renderReactions('end')}
+            {onReplyInThread && <ThreadSummary thread={message.thread} onClick={() => onReplyInThread(message)} align="end" />}
           </div>
         </div>
+
+        {renderMenu()}
       </div>
     );
   }
@@ -92,20 +210,27 @@ export default function GroupMessageBubble({ message, isOwnMessage, currentUserI
 
           <div className="flex items-end gap-2">
             {/* Message Bubble */}
-            <div className={`relative px-4 py-2.5 rounded-2xl rounded-bl-sm shadow-sm ${type === 'audio'
+            <div {...bubbleHandlers} className={`relative px-4 py-2.5 rounded-2xl rounded-bl-sm shadow-sm ${type === 'audio'
               ? 'bg-white dark:bg-zinc-800 border border-emerald-100 dark:border-emerald-900/30'
               : 'bg-white dark:bg-zinc-800 text-gray-800 dark:text-gray-200'
               }`}>
+              {renderQuote()}
               {renderContent()}
             </div>
 
             {/* Time - RIGHT side for others' messages */}
-            <span className="text-[10px] text-gray-400 whitespace-nowrap pb-1">
+            <span className="flex items-center text-[10px] text-gray-400 whitespace-nowrap pb-1">
+              {isPinned && !isDeleted && <Pin size={10} className="text-emerald-500 fill-current mr-1" aria-label="Pinned" />}
+              {edited_at && !isDeleted && <span className="italic mr-1">edited</span>}
               {time}
             </span>
           </div>
+          {renderReactions('start')}
+          {onReplyInThread && <ThreadSummary thread={message.thread} onClick={() => onReplyInThread(message)} />}
         </div>
       </div>
+
+      {renderMenu()}
     </div>
   );
 }
@@ -0,0 +1,48 @@
+import React from 'react';
+import { AtSign, Users } from 'lucide-react';
+import { EVERYONE } from '../../lib/mentions';
+
+/**
+ * Autocomplete list shown above the group composer while typing "@name".
+ */
+export default function MentionSuggestions({ suggestions, activeIndex, onSelect, onHover }) {
+  if (suggestions.length === 0) return null;
+
+  return (
+    <ul
+      role="listbox"
+      className="absolute bottom-full left-0 right-0 mb-2 max-h-64 overflow-y-auto bg-white dark:bg-zinc-900 border border-gray-200 dark:border-zinc-800 rounded-xl shadow-lg py-1 z-20"
+    >
+      {suggestions.map((s, index) => (
+        <li
+          key={s.id}
+          role="option"
+          aria-selected={index === activeIndex}
+          // mousedown, not click: keep focus in the input so the list doesn't close first
+          onMouseDown={(e) => {
+            e.preventDefault();
+            onSelect(s);
+          }}
+          onMouseEnter={() => onHover(index)}
+          className={`flex items-center gap-3 px-3 py-2 cursor-pointer ${index === activeIndex ? 'bg-emerald-50 dark:bg-emerald-900/30' : ''}`}
+        >
+          {s.id === EVERYONE.id ? (
+            <div className="w-8 h-8 rounded-full bg-emerald-500 flex items-center justify-center text-white flex-shrink-0">
+              <Users size={16} />
+            </div>
+          ) : s.avatar_url ? (
+            <img src={s.avatar_url} alt={s.name} className="w-8 h-8 rounded-full object-cover flex-shrink-0" />
+          ) : (
+            <div className="w-8 h-8 rounded-full bg-gradient-to-br from-gray-400 to-gray-500 flex items-center justify-center text-white text-xs font-bold flex-shrink-0">
+              {s.name[0]?.toUpperCase() || <AtSign size={14} />}
+            </div>
+          )}
+          <div className="min-w-0">
+            <p className="text-sm font-medium text-gray-900 dark:text-gray-100 truncate">@{s.name}</p>
+            {s.description && <p className="text-xs text-gray-500 truncate">{s.description}</p>}
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+}
@@ -0,0 +1,31 @@
+import React from 'react';
+import { EVERYONE, splitMentions } from '../../lib/mentions';
+
+/**
+ * Message text with its @mentions drawn as chips. Mentions of the viewer
+ * (including @everyone) stand out more than mentions of other people.
+ */
+export default function MentionText({ content, mentions, currentUserId, isOwn }) {
+  const segments = splitMentions(content, mentions);
+
+  return (
+    <p className="text-sm md:text-base break-words whitespace-pre-wrap">
+      {segments.map((segment, i) => {
+        if (!segment.mention) return <React.Fragment key={i}>{segment.text}</React.Fragment>;
+
+        const isMe = segment.mention.id === currentUserId || segment.mention.id === EVERYONE.id;
+        const chipClass = isOwn
+          ? 'bg-white/20 text-white'
+          : isMe
+            ? 'bg-amber-100 text-amber-800 dark:bg-amber-900/40 dark:text-amber-300'
+            : 'bg-emerald-100 text-emerald-700 dark:bg-emerald-900/40 dark:text-emerald-300';
+
+        return (
+          <span key={i} className={`inline-block px-1 rounded font-semibold ${chipClass}`}>
+            {segment.text}
+          </span>
+        );
+      })}
+    </p>
+  );
+}
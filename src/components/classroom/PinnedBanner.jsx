@@ -0,0 +1,71 @@
+import React, { useState, useEffect } from 'react';
+import { Pin, List } from 'lucide-react';
+import { QuoteSnippet } from '../chat/QuotedMessage';
+
+const CYCLE_INTERVAL = 5000;
+
+/**
+ * Bar under the class header showing the pinned messages one at a time.
+ * Cycles through them (pausing on hover); clicking one jumps to it.
+ */
+export default function PinnedBanner({ pins, onJump, onOpenList }) {
+  const [index, setIndex] = useState(0);
+  const [paused, setPaused] = useState(false);
+
+  useEffect(() => {
+    if (pins.length < 2 || paused) return;
+    const timer = setInterval(() => setIndex(i => i + 1), CYCLE_INTERVAL);
+    return () => clearInterval(timer);
+  }, [pins.length, paused]);
+
+  if (pins.length === 0) return null;
+
+  const current = index % pins.length;
+  const pin = pins[current];
+
+  return (
+    <div
+      onMouseEnter={() => setPaused(true)}
+      onMouseLeave={() => setPaused(false)}
+      className="flex items-center gap-2 px-3 md:px-4 py-2 border-b border-gray-200 dark:border-zinc-800 bg-emerald-50/80 dark:bg-emerald-900/20"
+    >
+      {/* One tick per pin, the current one highlighted */}
+      {pins.length > 1 && (
+        <div className="flex flex-col gap-0.5 self-stretch py-0.5">
+          {pins.map((p, i) => (
+            <span
+              key={p.id}
+              className={`flex-1 w-0.5 rounded-full ${i === current ? 'bg-emerald-500' : 'bg-emerald-200 dark:bg-emerald-800'}`}
+            />
+          ))}
+        </div>
+      )}
+
+      <button
+        type="button"
+        onClick={() => {
+          onJump(pin.message_id);
+          setIndex(i => i + 1);
+        }}
+        className="flex-1 min-w-0 text-left"
+      >
+        <span className="flex items-center gap-1 text-xs font-semibold text-emerald-600 dark:text-emerald-400">
+          <Pin size={12} className="fill-current" />
+          Pinned message{pins.length > 1 && ` ${current + 1} of ${pins.length}`}
+        </span>
+        <span className="block text-sm text-gray-700 dark:text-gray-300">
+          <QuoteSnippet message={pin.message} />
+        </span>
+      </button>
+
+      <button
+        type="button"
+        onClick={onOpenList}
+        className="p-2 text-emerald-600 dark:text-emerald-400 hover:bg-emerald-100 dark:hover:bg-emerald-900/40 rounded-lg transition-colors"
+        title="All pinned messages"
+      >
+        <List size={18} />
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+import React from 'react';
+import { Pin, PinOff, X, CornerDownRight } from 'lucide-react';
+import { QuoteSnippet } from '../chat/QuotedMessage';
+
+const senderName = (sender) => sender?.nickname || sender?.email?.split('@')[0] || 'Unknown';
+
+/**
+ * Side panel listing every pinned message of a class, with jump-to-message
+ * (and unpin for teachers and admins).
+ */
+export default function PinnedPanel({ pins, canUnpin, onJump, onUnpin, onClose }) {
+  return (
+    <div className="absolute inset-y-0 right-0 w-full md:w-96 z-20 flex flex-col bg-white dark:bg-zinc-950 border-l border-gray-200 dark:border-zinc-800 shadow-xl">
+      <div className="p-3 md:p-4 border-b border-gray-200 dark:border-zinc-800 flex items-center justify-between">
+        <h3 className="flex items-center gap-2 font-bold text-gray-900 dark:text-gray-100">
+          <Pin size={18} className="text-emerald-500" />
+          Pinned
+          <span className="text-sm font-normal text-gray-500">{pins.length}</span>
+        </h3>
+        <button
+          onClick={onClose}
+          className="p-2 hover:bg-gray-100 dark:hover:bg-zinc-800 rounded-lg transition-colors"
+          aria-label="Close"
+        >
+          <X size={18} className="text-gray-500" />
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto custom-scrollbar p-3 space-y-2">
+        {pins.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center mt-8">No pinned messages yet.</p>
+        ) : pins.map(pin => (
+          <div key={pin.id} className="p-3 rounded-xl bg-gray-50 dark:bg-zinc-900">
+            <div className="flex items-center justify-between gap-2 mb-1">
+              <span className="text-xs font-semibold text-emerald-600 dark:text-emerald-400 truncate">
+                {senderName(pin.message.sender)}
+              </span>
+              <span className="text-[10px] text-gray-400 whitespace-nowrap">
+                {new Date(pin.message.created_at).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}
+              </span>
+            </div>
+
+            <div className="text-sm text-gray-700 dark:text-gray-300">
+              {pin.message.type === 'text' && !pin.message.deleted_at ? (
+                <p className="break-words whitespace-pre-wrap line-clamp-4">{pin.message.content}</p>
+              ) : (
+                <QuoteSnippet message={pin.message} />
+              )}
+            </div>
+
+            <div className="flex items-center justify-end gap-1 mt-2">
+              {canUnpin && (
+                <button
+                  onClick={() => onUnpin(pin.message)}
+                  className="flex items-center gap-1 px-2 py-1 text-xs text-gray-500 hover:text-red-500 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-md transition-colors"
+                >
+                  <PinOff size={12} />
+                  Unpin
+                </button>
+              )}
+              <button
+                onClick={() => onJump(pin.message_id)}
+                className="flex items-center gap-1 px-2 py-1 text-xs text-emerald-600 dark:text-emerald-400 hover:bg-emerald-50 dark:hover:bg-emerald-900/30 rounded-md transition-colors"
+              >
+                <CornerDownRight size={12} />
+                Jump to message
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
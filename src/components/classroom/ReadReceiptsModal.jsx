@@ -0,0 +1,121 @@
+import React, { useEffect, useState } from 'react';
+import { X, Loader2, CheckCheck, Clock } from 'lucide-react';
+import { classroomService } from '../../services/classroomService';
+
+const memberName = (profile) => profile?.nickname || profile?.email?.split('@')[0] || 'Unknown';
+
+const formatReadAt = (timestamp) => {
+  const date = new Date(timestamp);
+  const isToday = date.toDateString() === new Date().toDateString();
+  return isToday
+    ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : date.toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+};
+
+function MemberRow({ profile, detail }) {
+  return (
+    <div className="flex items-center gap-3 px-2 py-2 rounded-xl">
+      {profile?.avatar_url ? (
+        <img src={profile.avatar_url} alt="" className="w-8 h-8 rounded-full object-cover" />
+      ) : (
+        <div className="w-8 h-8 rounded-full bg-gradient-to-br from-gray-400 to-gray-500 flex items-center justify-center text-white text-xs font-bold">
+          {memberName(profile)[0].toUpperCase()}
+        </div>
+      )}
+      <span className="flex-1 min-w-0 truncate text-sm text-gray-900 dark:text-gray-100">{memberName(profile)}</span>
+      {detail && <span className="text-xs text-gray-400 whitespace-nowrap">{detail}</span>}
+    </div>
+  );
+}
+
+/**
+ * Who has read one of my classroom messages (with read times) and who hasn't yet.
+ * New reads come in live while it's open.
+ */
+export default function ReadReceiptsModal({ message, conversationId, members, onClose }) {
+  const [reads, setReads] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const data = await classroomService.getMessageReaders(message.id);
+        if (!cancelled) setReads(data);
+      } catch (err) {
+        console.error('Error loading read receipts:', err);
+        if (!cancelled) setError('Failed to load read receipts.');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    load();
+
+    const channel = classroomService.subscribeToReadCounts(conversationId, (messageId, _count, read) => {
+      if (messageId !== message.id || !read) return;
+      setReads(prev => prev.some(r => r.user_id === read.user_id) ? prev : [{ ...read, profile: null }, ...prev]);
+    });
+
+    return () => {
+      cancelled = true;
+      classroomService.unsubscribe(channel);
+    };
+  }, [message.id, conversationId]);
+
+  // Live reads arrive without a profile; members already have theirs
+  const profileOf = (read) => read.profile || members?.find(m => m?.id === read.user_id) || null;
+  const readIds = new Set(reads.map(r => r.user_id));
+  const unread = (members || []).filter(m => m && m.id !== message.sender_id && !readIds.has(m.id));
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 backdrop-blur-sm p-4" onClick={onClose}>
+      <div
+        className="bg-white dark:bg-zinc-900 w-full max-w-md rounded-2xl shadow-xl overflow-hidden flex flex-col max-h-[80vh] animate-in fade-in zoom-in-95 duration-200"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="p-4 border-b border-gray-100 dark:border-zinc-800 flex justify-between items-center">
+          <h3 className="text-lg font-bold text-gray-900 dark:text-gray-100">Message info</h3>
+          <button onClick={onClose} className="p-2 hover:bg-gray-100 dark:hover:bg-zinc-800 rounded-full transition-colors" aria-label="Close">
+            <X size={20} className="text-gray-500" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-2 custom-scrollbar">
+          {loading ? (
+            <div className="h-40 flex justify-center items-center">
+              <Loader2 className="animate-spin text-emerald-500" />
+            </div>
+          ) : error ? (
+            <p className="text-sm text-red-500 text-center py-8">{error}</p>
+          ) : (
+            <>
+              <h4 className="flex items-center gap-1.5 px-2 pt-2 pb-1 text-xs font-semibold uppercase tracking-wide text-emerald-600 dark:text-emerald-400">
+                <CheckCheck size={14} />
+                Read by {reads.length}
+              </h4>
+              {reads.length === 0 ? (
+                <p className="px-2 py-2 text-sm text-gray-500">Nobody has read this yet.</p>
+              ) : reads.map(read => (
+                <MemberRow key={read.user_id} profile={profileOf(read)} detail={formatReadAt(read.read_at)} />
+              ))}
+
+              {unread.length > 0 && (
+                <>
+                  <h4 className="flex items-center gap-1.5 px-2 pt-4 pb-1 text-xs font-semibold uppercase tracking-wide text-gray-500">
+                    <Clock size={14} />
+                    Not read yet {unread.length}
+                  </h4>
+                  {unread.map(member => (
+                    <MemberRow key={member.id} profile={member} />
+                  ))}
+                </>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
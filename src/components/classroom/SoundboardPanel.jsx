@@ -9,6 +9,7 @@ import {
   Volume1,
   X
 } from 'lucide-react';
+import { formatDuration } from '../../lib/duration';
 
 export default function SoundboardPanel({
   isOpen,
@@ -42,12 +43,6 @@ export default function SoundboardPanel({
     }
   };
 
-  const formatTime = (t) => {
-    const mins = Math.floor(t / 60);
-    const secs = Math.floor(t % 60);
-    return `${mins}:${secs.toString().padStart(2, '0')}`;
-  };
-
   if (!isOpen) return null;
 
   return (
@@ -89,7 +84,7 @@ export default function SoundboardPanel({
                 <span className="text-xs font-bold text-gray-400 uppercase tracking-wider">Music Player</span>
                 {duration > 0 && (
                   <span className="text-xs text-emerald-400 font-mono">
-                    {formatTime(currentTime)} / {formatTime(duration)}
+                    {formatDuration(currentTime)} / {formatDuration(duration)}
                   </span>
                 )}
               </div>
@@ -0,0 +1,335 @@
+import React, { useEffect, useState, useRef, useCallback } from 'react';
+import { Send, X, Loader2, Pencil, MessagesSquare } from 'lucide-react';
+import GroupMessageBubble from './GroupMessageBubble';
+import ReadReceiptsModal from './ReadReceiptsModal';
+import MentionSuggestions from './MentionSuggestions';
+import ComposerBanner from '../chat/ComposerBanner';
+import { useToast } from '../ui/Toast';
+import { ConfirmationModal } from '../ui/ConfirmationModal';
+import { classroomService } from '../../services/classroomService';
+import { chatService } from '../../services/chatService';
+import { outboxService } from '../../services/outboxService';
+import { useOutbox, mergeConfirmed } from '../../hooks/useOutbox';
+import { useMessageReactions } from '../../hooks/useMessageReactions';
+import { useMentions } from '../../hooks/useMentions';
+import { useVoiceNoteAutoplay } from '../../hooks/useVoicePlayback';
+import { useChatScroll } from '../../hooks/useChatScroll';
+
+/**
+ * Side panel for one thread: the root message, its replies (live) and a composer.
+ * Mount with key={root.id} so switching threads starts fresh.
+ * onRead(rootId) is called once the replies on screen are marked read.
+ */
+export default function ThreadPanel({ chat, root, currentUser, isTeacherOrAdmin, onClose, onRead }) {
+  const toast = useToast();
+  const [replies, setReplies] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [hasMore, setHasMore] = useState(false);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const loadingOlderRef = useRef(false);
+  const [newMessage, setNewMessage] = useState('');
+  const [editingMessage, setEditingMessage] = useState(null);
+  const [sending, setSending] = useState(false);
+  const [pendingDelete, setPendingDelete] = useState(null);
+  const [deleting, setDeleting] = useState(false);
+  const [receiptsFor, setReceiptsFor] = useState(null);
+  const inputRef = useRef(null);
+
+  const rootId = root.id;
+  const userId = currentUser?.id;
+
+  const mentions = useMentions(chat.members, {
+    currentUserId: userId,
+    allowEveryone: isTeacherOrAdmin,
+    value: newMessage,
+    onChange: setNewMessage,
+    inputRef
+  });
+
+  // Load the replies, then follow the thread live
+  useEffect(() => {
+    if (!userId) return;
+    let cancelled = false;
+
+    const markRead = (messages) => {
+      const unreadIds = messages.filter(m => m.sender_id !== userId).map(m => m.id);
+      if (unreadIds.length > 0) classroomService.markMessagesRead(unreadIds);
+      onRead?.(rootId);
+    };
+
+    const load = async () => {
+      try {
+        const { messages: data, hasMore: more } = await classroomService.getThreadMessages(rootId);
+        // Unsent replies from the outbox stay at the bottom until they go through
+        const pending = (await outboxService.list(chat.id))
+          .filter(e => e.thread_id === rootId)
+          .map(outboxService.toMessage);
+        if (cancelled) return;
+
+        setReplies([...data, ...pending]);
+        setHasMore(more);
+        markRead(data);
+      } catch (err) {
+        console.error('Error loading thread:', err);
+        if (!cancelled) toast.error('Failed to load the thread. Please try again.');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    load();
+
+    const channel = classroomService.subscribeToThread(
+      rootId,
+      (reply) => {
+        setReplies(prev => mergeConfirmed(prev, reply));
+        if (reply.sender_id !== userId) markRead([reply]);
+      },
+      (updated) => {
+        setReplies(prev => prev.map(m => m.id === updated.id ? { ...m, ...updated } : m));
+      }
+    );
+
+    return () => {
+      cancelled = true;
+      classroomService.unsubscribe(channel);
+    };
+  }, [rootId, chat.id, userId, onRead, toast]);
+
+  // Load earlier replies when scrolled up to the root
+  const loadOlderReplies = useCallback(async () => {
+    const oldest = replies.find(m => !m.pending);
+    if (loadingOlderRef.current || !oldest) return;
+
+    loadingOlderRef.current = true;
+    setLoadingOlder(true);
+    try {
+      const { messages: older, hasMore: more } = await classroomService.getThreadMessages(rootId, {
+        before: oldest
+      });
+      setReplies(prev => [...older, ...prev]);
+      setHasMore(more);
+
+      const unreadIds = older.filter(m => m.sender_id !== userId).map(m => m.id);
+      if (unreadIds.length > 0) classroomService.markMessagesRead(unreadIds);
+    } catch (err) {
+      console.error('Error loading earlier replies:', err);
+      toast.error('Failed to load earlier replies.');
+    } finally {
+      loadingOlderRef.current = false;
+      setLoadingOlder(false);
+    }
+  }, [rootId, replies, userId, toast]);
+
+  // Keep the newest reply in view, and the view in place when earlier replies come in
+  const { containerRef, endRef, handleScroll } = useChatScroll(replies, {
+    hasMore,
+    onReachTop: loadOlderReplies
+  });
+
+  const handleReactionError = useCallback(() => {
+    toast.error('Failed to update reaction. Please try again.');
+  }, [toast]);
+
+  useVoiceNoteAutoplay(replies, userId);
+
+  const toggleReaction = useMessageReactions(chat.id, userId, setReplies, handleReactionError);
+
+  const { send: queueReply, retry: retryReply, discard: discardReply } = useOutbox(
+    chat.id,
+    'group',
+    userId,
+    setReplies,
+    rootId
+  );
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    if (!newMessage.trim() || sending) return;
+
+    const mentioned = mentions.collect(newMessage);
+
+    if (!editingMessage) {
+      queueReply({
+        content: newMessage,
+        metadata: mentioned.length > 0 ? { mentions: mentioned } : {}
+      });
+      setNewMessage('');
+      mentions.reset();
+      return;
+    }
+
+    setSending(true);
+    try {
+      const updated = await chatService.editMessage(editingMessage.id, newMessage.trim(), {
+        ...editingMessage.metadata,
+        mentions: mentioned
+      });
+      setReplies(prev => prev.map(m => m.id === updated.id ? { ...m, ...updated } : m));
+      handleCancelEdit();
+    } catch (err) {
+      console.error('Failed to edit:', err);
+      toast.error('Failed to edit message. Please try again.');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleStartEdit = (message) => {
+    setEditingMessage(message);
+    setNewMessage(message.content);
+    mentions.reset(message.metadata?.mentions || []);
+    inputRef.current?.focus();
+  };
+
+  const handleCancelEdit = () => {
+    setEditingMessage(null);
+    setNewMessage('');
+    mentions.reset();
+  };
+
+  const handleConfirmDelete = async () => {
+    if (!pendingDelete) return;
+
+    setDeleting(true);
+    try {
+      const deleted = await chatService.deleteMessage(pendingDelete);
+      setReplies(prev => prev.map(m => m.id === deleted.id ? { ...m, ...deleted } : m));
+      if (editingMessage?.id === deleted.id) handleCancelEdit();
+    } catch (err) {
+      console.error('Failed to delete message:', err);
+      toast.error('Failed to delete message. Please try again.');
+    } finally {
+      setDeleting(false);
+      setPendingDelete(null);
+    }
+  };
+
+  // Same rule as the root's summary: deleted replies don't count. Until every page is
+  // loaded, the summary (kept live by the group chat) has the full count.
+  const replyCount = hasMore && root.thread
+    ? root.thread.count
+    : replies.filter(m => !m.pending && !m.deleted_at).length;
+
+  return (
+    <div className="absolute inset-y-0 right-0 w-full md:w-[28rem] z-20 flex flex-col bg-white dark:bg-zinc-950 border-l border-gray-200 dark:border-zinc-800 shadow-xl">
+      {/* Header */}
+      <div className="p-3 md:p-4 border-b border-gray-200 dark:border-zinc-800 flex items-center justify-between">
+        <h3 className="flex items-center gap-2 font-bold text-gray-900 dark:text-gray-100">
+          <MessagesSquare size={18} className="text-emerald-500" />
+          Thread
+        </h3>
+        <button
+          onClick={onClose}
+          className="p-2 hover:bg-gray-100 dark:hover:bg-zinc-800 rounded-lg transition-colors"
+          aria-label="Close thread"
+        >
+          <X size={18} className="text-gray-500" />
+        </button>
+      </div>
+
+      {/* Root + replies */}
+      <div
+        ref={containerRef}
+        onScroll={handleScroll}
+        className="flex-1 overflow-y-auto custom-scrollbar p-3 md:p-4 bg-gray-50 dark:bg-zinc-900/50"
+      >
+        <GroupMessageBubble
+          message={root}
+          isOwnMessage={root.sender_id === userId}
+          currentUserId={userId}
+        />
+
+        <div className="flex items-center gap-3 my-3">
+          <span className="text-xs text-gray-500 whitespace-nowrap">
+            {replyCount} {replyCount === 1 ? 'reply' : 'replies'}
+          </span>
+          <div className="flex-1 h-px bg-gray-200 dark:bg-zinc-800" />
+        </div>
+
+        {loadingOlder && (
+          <div className="flex justify-center py-2">
+            <Loader2 size={16} className="animate-spin text-emerald-500" />
+          </div>
+        )}
+
+        {loading ? (
+          <div className="flex justify-center py-6">
+            <Loader2 className="animate-spin text-emerald-500" size={24} />
+          </div>
+        ) : replies.map(msg => (
+          <GroupMessageBubble
+            key={msg.client_id || msg.id}
+            message={msg}
+            isOwnMessage={msg.sender_id === userId}
+            currentUserId={userId}
+            onEdit={handleStartEdit}
+            onDelete={setPendingDelete}
+            onReact={toggleReaction}
+            onRetry={retryReply}
+            onDiscard={discardReply}
+            onShowReaders={setReceiptsFor}
+          />
+        ))}
+        <div ref={endRef} />
+      </div>
+
+      {/* Composer */}
+      <div className="p-3 border-t border-gray-200 dark:border-zinc-800">
+        {editingMessage && (
+          <ComposerBanner icon={Pencil} title="Editing message" onCancel={handleCancelEdit} accent="emerald">
+            {editingMessage.content}
+          </ComposerBanner>
+        )}
+        <form onSubmit={handleSend} className="relative flex gap-2 items-center">
+          <MentionSuggestions
+            suggestions={mentions.suggestions}
+            activeIndex={mentions.activeIndex}
+            onSelect={mentions.select}
+            onHover={mentions.setActiveIndex}
+          />
+          <input
+            ref={inputRef}
+            type="text"
+            value={newMessage}
+            onChange={(e) => {
+              setNewMessage(e.target.value);
+              mentions.handleInput(e.target.value, e.target.selectionStart);
+            }}
+            onKeyDown={mentions.handleKeyDown}
+            onBlur={mentions.close}
+            placeholder="Reply in thread..."
+            className="flex-1 p-3 bg-gray-100 dark:bg-zinc-900 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500 transition-all border-none text-sm"
+          />
+          <button
+            type="submit"
+            disabled={!newMessage.trim() || sending}
+            className="p-3 bg-emerald-600 hover:bg-emerald-700 text-white rounded-xl transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Send size={18} />
+          </button>
+        </form>
+      </div>
+
+      {receiptsFor && (
+        <ReadReceiptsModal
+          key={receiptsFor.id}
+          message={receiptsFor}
+          conversationId={chat.id}
+          members={chat.members}
+          onClose={() => setReceiptsFor(null)}
+        />
+      )}
+
+      <ConfirmationModal
+        isOpen={!!pendingDelete}
+        onClose={() => setPendingDelete(null)}
+        onConfirm={handleConfirmDelete}
+        title="Delete reply?"
+        description="This reply will be replaced with a 'message deleted' note for everyone in the thread."
+        confirmText="Delete"
+        variant="destructive"
+        isLoading={deleting}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,50 @@
+import React from 'react';
+import { MessagesSquare } from 'lucide-react';
+
+const formatLastReply = (timestamp) => {
+  const date = new Date(timestamp);
+  const isToday = date.toDateString() === new Date().toDateString();
+  return isToday
+    ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+};
+
+/**
+ * "N replies" line under a thread's root message, with the latest repliers' avatars.
+ */
+export default function ThreadSummary({ thread, onClick, align = 'start' }) {
+  if (!thread?.count) return null;
+
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      className={`flex items-center gap-2 mt-1 px-2 py-1 rounded-lg hover:bg-emerald-50 dark:hover:bg-emerald-900/20 transition-colors ${align === 'end' ? 'self-end' : 'self-start'}`}
+    >
+      {thread.repliers?.length > 0 ? (
+        <span className="flex -space-x-1.5">
+          {thread.repliers.map(p => p.avatar_url ? (
+            <img key={p.id} src={p.avatar_url} alt="" className="w-5 h-5 rounded-full object-cover ring-2 ring-white dark:ring-zinc-950" />
+          ) : (
+            <span key={p.id} className="w-5 h-5 rounded-full bg-gradient-to-br from-gray-400 to-gray-500 ring-2 ring-white dark:ring-zinc-950 flex items-center justify-center text-white text-[9px] font-bold">
+              {(p.nickname || p.email || '?')[0].toUpperCase()}
+            </span>
+          ))}
+        </span>
+      ) : (
+        <MessagesSquare size={14} className="text-emerald-500" />
+      )}
+      <span className="text-xs font-semibold text-emerald-600 dark:text-emerald-400">
+        {thread.count} {thread.count === 1 ? 'reply' : 'replies'}
+      </span>
+      {thread.unread > 0 && (
+        <span className="px-1.5 rounded-full bg-emerald-500 text-white text-[10px] font-bold">
+          {thread.unread} new
+        </span>
+      )}
+      {thread.lastReplyAt && (
+        <span className="text-[10px] text-gray-400">Last reply {formatLastReply(thread.lastReplyAt)}</span>
+      )}
+    </button>
+  );
+}
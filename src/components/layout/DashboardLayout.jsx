@@ -1,74 +1,105 @@
 import { Link, NavLink, Outlet, useNavigate } from 'react-router-dom'
 import { MessageSquare, GraduationCap, Settings, LogOut } from 'lucide-react'
 import { cn } from '@/lib/utils'
+import { useUnreadCounts } from '@/hooks/useUnreadCounts'
+import { useNetworkStatus } from '@/hooks/useNetworkStatus'
+import { useOutboxFlush } from '@/hooks/useOutbox'
+import { useNotificationClicks } from '@/hooks/useNotificationClicks'
+import { useMessageAlerts } from '@/hooks/useMessageAlerts'
+import { useConversationFeed } from '@/hooks/useConversationFeed'
+import { useUnreadBadge } from '@/hooks/useUnreadBadge'
+import { PresenceProvider } from './PresenceProvider'
 
 export default function DashboardLayout() {
-  return (
-    <div className="flex h-screen bg-background">
-      {/* Sidebar */}
-      <aside className="w-64 border-r bg-card hidden md:flex flex-col">
-        <div className="p-6">
-          <h1 className="text-2xl font-bold bg-gradient-to-r from-primary to-primary/60 bg-clip-text text-transparent">
-            Siichisei
-          </h1>
-        </div>
+  // One realtime subscription for new messages, feeding unread counts and alerts
+  useConversationFeed()
+  const { total: unreadTotal, groupTotal: groupUnreadTotal } = useUnreadCounts()
+  // The tab badge counts classes too; the Chat nav badge is direct messages only
+  useUnreadBadge(unreadTotal + groupUnreadTotal)
+  useMessageAlerts()
+
+  // Dispatches 'network-reconnect', which the outbox (and auto-retrying views) listen for
+  useNetworkStatus()
+  useOutboxFlush()
+  useNotificationClicks()
 
-        <nav className="flex-1 px-4 space-y-6">
-          <div className="space-y-2">
-            <h3 className="px-2 text-xs font-semibold text-muted-foreground uppercase tracking-wider mb-2">
-              Learning
-            </h3>
-            <NavItem to="/chat" icon={MessageSquare}>
-              Chat
-            </NavItem>
-            <NavItem to="/classroom" icon={GraduationCap}>
-              Classroom
-            </NavItem>
+  return (
+    <PresenceProvider>
+      <div className="flex h-screen bg-background">
+        {/* Sidebar */}
+        <aside className="w-64 border-r bg-card hidden md:flex flex-col">
+          <div className="p-6">
+            <h1 className="text-2xl font-bold bg-gradient-to-r from-primary to-primary/60 bg-clip-text text-transparent">
+              Siichisei
+            </h1>
           </div>
 
-          <div className="h-px bg-border/50 mx-2" />
+          <nav className="flex-1 px-4 space-y-6">
+            <div className="space-y-2">
+              <h3 className="px-2 text-xs font-semibold text-muted-foreground uppercase tracking-wider mb-2">
+                Learning
+              </h3>
+              <NavItem to="/chat" icon={MessageSquare} badge={unreadTotal}>
+                Chat
+              </NavItem>
+              <NavItem to="/classroom" icon={GraduationCap}>
+                Classroom
+              </NavItem>
+            </div>
 
-          <div className="space-y-2">
-            <h3 className="px-2 text-xs font-semibold text-muted-foreground uppercase tracking-wider mb-2">
-              System
-            </h3>
-            <NavItem to="/settings" icon={Settings}>
-              Settings
-            </NavItem>
-          </div>
-        </nav>
+            <div className="h-px bg-border/50 mx-2" />
 
-        <div className="p-4 border-t">
-          {/* User info can go here later */}
-        </div>
-      </aside>
+            <div className="space-y-2">
+              <h3 className="px-2 text-xs font-semibold text-muted-foreground uppercase tracking-wider mb-2">
+                System
+              </h3>
+              <NavItem to="/settings" icon={Settings}>
+                Settings
+              </NavItem>
+            </div>
+          </nav>
 
-      {/* Main Content */}
-      {/* Main Content */}
-      <main className="flex-1 overflow-auto md:mb-0 mb-16">
-        <Outlet />
-      </main>
+          <div className="p-4 border-t">
+            {/* User info can go here later */}
+          </div>
+        </aside>
+
+        {/* Main Content */}
+        {/* Main Content */}
+        <main className="flex-1 overflow-auto md:mb-0 mb-16">
+          <Outlet />
+        </main>
 
-      {/* Mobile Bottom Nav */}
-      <nav className="md:hidden fixed bottom-0 left-0 right-0 h-16 bg-white dark:bg-zinc-950 border-t border-gray-200 dark:border-zinc-800 flex justify-around items-center z-50">
-        <NavLink to="/chat" className={({ isActive }) => cn("flex flex-col items-center gap-1 p-2 text-xs font-medium transition-colors", isActive ? "text-indigo-600" : "text-gray-500 hover:text-gray-900")}>
-          <MessageSquare className="h-6 w-6" />
-          <span>Chat</span>
-        </NavLink>
-        <NavLink to="/classroom" className={({ isActive }) => cn("flex flex-col items-center gap-1 p-2 text-xs font-medium transition-colors", isActive ? "text-indigo-600" : "text-gray-500 hover:text-gray-900")}>
-          <GraduationCap className="h-6 w-6" />
-          <span>Classroom</span>
-        </NavLink>
-        <NavLink to="/settings" className={({ isActive }) => cn("flex flex-col items-center gap-1 p-2 text-xs font-medium transition-colors", isActive ? "text-indigo-600" : "text-gray-500 hover:text-gray-900")}>
-          <Settings className="h-6 w-6" />
-          <span>Settings</span>
-        </NavLink>
-      </nav>
-    </div>
+        {/* Mobile Bottom Nav */}
+        <nav className="md:hidden fixed bottom-0 left-0 right-0 h-16 bg-white dark:bg-zinc-950 border-t border-gray-200 dark:border-zinc-800 flex justify-around items-center z-50">
+          <NavLink to="/chat" className={({ isActive }) => cn("relative flex flex-col items-center gap-1 p-2 text-xs font-medium transition-colors", isActive ? "text-indigo-600" : "text-gray-500 hover:text-gray-900")}>
+            <MessageSquare className="h-6 w-6" />
+            {unreadTotal > 0 && (
+              <span className="absolute top-0 right-0 min-w-[18px] h-[18px] px-1 bg-indigo-600 rounded-full flex items-center justify-center text-[10px] text-white font-bold">
+                {formatBadge(unreadTotal)}
+              </span>
+            )}
+            <span>Chat</span>
+          </NavLink>
+          <NavLink to="/classroom" className={({ isActive }) => cn("flex flex-col items-center gap-1 p-2 text-xs font-medium transition-colors", isActive ? "text-indigo-600" : "text-gray-500 hover:text-gray-900")}>
+            <GraduationCap className="h-6 w-6" />
+            <span>Classroom</span>
+          </NavLink>
+          <NavLink to="/settings" className={({ isActive }) => cn("flex flex-col items-center gap-1 p-2 text-xs font-medium transition-colors", isActive ? "text-indigo-600" : "text-gray-500 hover:text-gray-900")}>
+            <Settings className="h-6 w-6" />
+            <span>Settings</span>
+          </NavLink>
+        </nav>
+      </div>
+    </PresenceProvider>
   )
 }
 
-function NavItem({ to, icon: Icon, children }) {
+function formatBadge(count) {
+  return count > 99 ? '99+' : count
+}
+
+function NavItem({ to, icon: Icon, badge = 0, children }) {
   return (
     <NavLink
       to={to}
@@ -83,6 +114,11 @@ function NavItem({ to, icon: Icon, children }) {
     >
       <Icon className="h-4 w-4" />
       {children}
+      {badge > 0 && (
+        <span className="ml-auto min-w-[20px] h-5 px-1.5 bg-indigo-600 rounded-full flex items-center justify-center text-[10px] text-white font-bold">
+          {formatBadge(badge)}
+        </span>
+      )}
     </NavLink>
   )
 }
@@ -0,0 +1,60 @@
+import { useState, useEffect, useCallback, useMemo } from 'react'
+import { supabase } from '@/lib/supabase'
+import { chatService } from '@/services/chatService'
+import { PresenceContext } from '@/hooks/usePresence'
+
+const HEARTBEAT_INTERVAL = 60 * 1000
+
+export function PresenceProvider({ children }) {
+  const [onlineIds, setOnlineIds] = useState(() => new Set())
+  const [leftAt, setLeftAt] = useState({}) // userId -> ISO time we saw them go offline
+  const [now, setNow] = useState(() => Date.now())
+
+  useEffect(() => {
+    let channel = null
+    let cancelled = false
+
+    supabase.auth.getUser().then(({ data: { user } }) => {
+      if (!user || cancelled) return
+
+      channel = chatService.subscribeToOnlinePresence(
+        user.id,
+        (state) => setOnlineIds(new Set(Object.keys(state))),
+        (userId) => setLeftAt(prev => ({ ...prev, [userId]: new Date().toISOString() }))
+      )
+      chatService.updateLastSeen()
+    })
+
+    // Heartbeat keeps last_seen_at fresh; it also re-renders "x min ago" labels
+    const heartbeat = setInterval(() => {
+      chatService.updateLastSeen()
+      setNow(Date.now())
+    }, HEARTBEAT_INTERVAL)
+
+    // Best effort final stamp when the tab is hidden or closed
+    const handleVisibility = () => {
+      if (document.visibilityState === 'hidden') chatService.updateLastSeen()
+    }
+    document.addEventListener('visibilitychange', handleVisibility)
+
+    return () => {
+      cancelled = true
+      clearInterval(heartbeat)
+      document.removeEventListener('visibilitychange', handleVisibility)
+      if (channel) supabase.removeChannel(channel)
+    }
+  }, [])
+
+  const isOnline = useCallback((userId) => !!userId && onlineIds.has(userId), [onlineIds])
+
+  // Prefer the live "left" time over the (older) stored profile value
+  const getLastSeen = useCallback((userId, fallback) => leftAt[userId] || fallback || null, [leftAt])
+
+  const value = useMemo(() => ({ isOnline, getLastSeen, now }), [isOnline, getLastSeen, now])
+
+  return (
+    <PresenceContext.Provider value={value}>
+      {children}
+    </PresenceContext.Provider>
+  )
+}
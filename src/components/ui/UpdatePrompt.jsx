@@ -0,0 +1,50 @@
+import React, { useState, useEffect } from 'react';
+import { RefreshCw, X } from 'lucide-react';
+import { getWaitingWorker, applyUpdate } from '../../lib/serviceWorker';
+
+/**
+ * "New version available" bar shown when an updated service worker is waiting.
+ */
+export default function UpdatePrompt() {
+  const [worker, setWorker] = useState(() => getWaitingWorker());
+  const [dismissed, setDismissed] = useState(false);
+  const [reloading, setReloading] = useState(false);
+
+  useEffect(() => {
+    const handleUpdate = (e) => {
+      setWorker(e.detail.worker);
+      setDismissed(false);
+    };
+
+    window.addEventListener('sw-update-available', handleUpdate);
+    return () => window.removeEventListener('sw-update-available', handleUpdate);
+  }, []);
+
+  if (!worker || dismissed) return null;
+
+  const handleReload = () => {
+    setReloading(true);
+    applyUpdate(worker);
+  };
+
+  return (
+    <div className="fixed top-4 left-4 right-4 md:left-auto md:right-4 md:w-96 z-50 flex items-center gap-3 p-3 rounded-lg border shadow-lg bg-indigo-50 dark:bg-indigo-900/30 border-indigo-200 dark:border-indigo-800 animate-slide-up">
+      <RefreshCw size={18} className={`text-indigo-500 flex-shrink-0 ${reloading ? 'animate-spin' : ''}`} />
+      <p className="flex-1 text-sm text-gray-800 dark:text-gray-200">New version available</p>
+      <button
+        onClick={handleReload}
+        disabled={reloading}
+        className="px-3 py-1.5 text-sm font-medium bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg transition-colors disabled:opacity-50"
+      >
+        Reload
+      </button>
+      <button
+        onClick={() => setDismissed(true)}
+        className="p-1 hover:bg-gray-200 dark:hover:bg-zinc-700 rounded transition-colors"
+        aria-label="Dismiss"
+      >
+        <X size={14} className="text-gray-500" />
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,78 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { chatService, ATTACHMENT_TYPES } from '../services/chatService';
+
+// Natural size of an image, so the bubble can reserve its space before the thumbnail loads
+const readImageSize = (file) => new Promise((resolve) => {
+  const url = URL.createObjectURL(file);
+  const img = new Image();
+  img.onload = () => {
+    resolve({ width: img.naturalWidth, height: img.naturalHeight });
+    URL.revokeObjectURL(url);
+  };
+  img.onerror = () => {
+    resolve({});
+    URL.revokeObjectURL(url);
+  };
+  img.src = url;
+});
+
+/**
+ * Hook to upload a picked file as an image/file message.
+ * send(path, type, metadata) creates the message once the upload finishes;
+ * onError(message) surfaces validation and upload failures.
+ * Returns { upload: { name, progress } | null, startUpload(file), cancelUpload() }.
+ */
+export function useAttachmentUpload(conversationId, send, onError) {
+  const [upload, setUpload] = useState(null);
+  const abortRef = useRef(null);
+
+  const startUpload = useCallback(async (file) => {
+    if (!conversationId || !file || abortRef.current) return;
+
+    const invalid = chatService.validateAttachment(file);
+    if (invalid) {
+      onError(invalid);
+      return;
+    }
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setUpload({ name: file.name, progress: 0 });
+
+    try {
+      const type = ATTACHMENT_TYPES[file.type];
+      const dimensions = type === 'image' ? await readImageSize(file) : {};
+
+      const { path } = await chatService.uploadAttachment(conversationId, file, {
+        signal: controller.signal,
+        onProgress: (progress) => setUpload(prev => prev && { ...prev, progress })
+      });
+
+      await send(path, type, {
+        name: file.name,
+        size: file.size,
+        mime_type: file.type,
+        ...dimensions
+      });
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('Failed to send attachment:', error);
+        onError('Failed to send attachment. Please try again.');
+      }
+    } finally {
+      abortRef.current = null;
+      setUpload(null);
+    }
+  }, [conversationId, send, onError]);
+
+  const cancelUpload = useCallback(() => {
+    abortRef.current?.abort();
+  }, []);
+
+  // Don't keep uploading into a chat we've left
+  useEffect(() => {
+    return () => abortRef.current?.abort();
+  }, [conversationId]);
+
+  return { upload, startUpload, cancelUpload };
+}
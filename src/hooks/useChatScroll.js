@@ -0,0 +1,46 @@
+import { useRef, useLayoutEffect, useCallback } from 'react';
+
+/**
+ * Hook to manage scrolling of a chat timeline with paged history.
+ * - Scrolls to the bottom when a new message is appended (instantly when the list is replaced).
+ * - Keeps the visible message in place when older pages are prepended.
+ * - Calls onReachTop when the user scrolls near the top and more history exists.
+ */
+export function useChatScroll(messages, { hasMore, onReachTop, threshold = 80 } = {}) {
+  const containerRef = useRef(null);
+  const endRef = useRef(null);
+  const heightRef = useRef(0); // scrollHeight as of the last render or scroll
+  const firstIdRef = useRef(null);
+  const lastIdRef = useRef(null);
+
+  useLayoutEffect(() => {
+    const el = containerRef.current;
+    const firstId = messages[0]?.id ?? null;
+    const lastId = messages[messages.length - 1]?.id ?? null;
+    const prevFirstId = firstIdRef.current;
+    const prevLastId = lastIdRef.current;
+    firstIdRef.current = firstId;
+    lastIdRef.current = lastId;
+
+    if (el && prevFirstId !== null && firstId !== prevFirstId && lastId === prevLastId) {
+      // Older page prepended: shift by the added height so the view stays put
+      el.scrollTop += el.scrollHeight - heightRef.current;
+    } else if (lastId !== prevLastId) {
+      // Same head means an append; otherwise the whole list was (re)loaded
+      const isAppend = prevFirstId !== null && firstId === prevFirstId;
+      endRef.current?.scrollIntoView({ behavior: isAppend ? 'smooth' : 'auto' });
+    }
+
+    if (el) heightRef.current = el.scrollHeight;
+  }, [messages]);
+
+  const handleScroll = useCallback(() => {
+    const el = containerRef.current;
+    if (!el) return;
+    heightRef.current = el.scrollHeight;
+    if (!hasMore || !onReachTop) return;
+    if (el.scrollTop <= threshold) onReachTop();
+  }, [hasMore, onReachTop, threshold]);
+
+  return { containerRef, endRef, handleScroll };
+}
@@ -0,0 +1,76 @@
+import { useState, useEffect, useCallback } from 'react';
+import { supabase } from '@/lib/supabase';
+import { chatService } from '@/services/chatService';
+import { useAutoRetry } from './useNetworkStatus';
+
+// Realtime caps an `in` filter at 100 values, so bigger sets are split across listeners
+const IN_FILTER_LIMIT = 100;
+
+/**
+ * Hook for the one realtime subscription to new messages in all my conversations,
+ * shared by unread counts and message alerts. Mount once, in DashboardLayout.
+ * Passes them on as window events:
+ *   'message-received'      detail = { message }  someone else's message, in any of my chats
+ *   'conversation-joined'                         I was added to a conversation
+ */
+export function useConversationFeed() {
+  const [userId, setUserId] = useState(null);
+  const [conversationIds, setConversationIds] = useState([]);
+
+  const loadConversationIds = useCallback(async () => {
+    try {
+      setConversationIds(await chatService.getConversationIds());
+    } catch (error) {
+      console.error('Error loading conversations for realtime:', error);
+    }
+  }, []);
+
+  useAutoRetry(loadConversationIds, []);
+
+  useEffect(() => {
+    supabase.auth.getUser().then(({ data: { user } }) => {
+      setUserId(user?.id || null);
+      if (user) loadConversationIds();
+    });
+  }, [loadConversationIds]);
+
+  // Re-subscribe only when the set of conversations changes
+  const idsKey = [...conversationIds].sort().join(',');
+
+  useEffect(() => {
+    if (!userId) return;
+
+    // Unique topic: the previous channel may still be leaving when the set changes
+    const channel = supabase.channel(`feed:${userId}:${Date.now()}`);
+    const ids = idsKey ? idsKey.split(',') : [];
+
+    for (let i = 0; i < ids.length; i += IN_FILTER_LIMIT) {
+      channel.on('postgres_changes', {
+        event: 'INSERT',
+        schema: 'public',
+        table: 'messages',
+        filter: `conversation_id=in.(${ids.slice(i, i + IN_FILTER_LIMIT).join(',')})`
+      }, (payload) => {
+        if (payload.new.sender_id === userId) return;
+        window.dispatchEvent(new CustomEvent('message-received', { detail: { message: payload.new } }));
+      });
+    }
+
+    channel
+      .on('postgres_changes', {
+        event: 'INSERT',
+        schema: 'public',
+        table: 'chat_members',
+        filter: `user_id=eq.${userId}`
+      }, () => {
+        // Added to a new chat: follow it too
+        loadConversationIds();
+        window.dispatchEvent(new CustomEvent('conversation-joined'));
+      })
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  }, [userId, idsKey, loadConversationIds]);
+}
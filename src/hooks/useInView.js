@@ -0,0 +1,23 @@
+import { useEffect, useState } from 'react';
+
+/**
+ * True once the element has come within `rootMargin` of the viewport, and stays true.
+ * Without IntersectionObserver everything counts as in view.
+ */
+export function useInView(ref, rootMargin = '200px') {
+  const [inView, setInView] = useState(() => typeof IntersectionObserver === 'undefined');
+
+  useEffect(() => {
+    const element = ref.current;
+    if (inView || !element) return;
+
+    const observer = new IntersectionObserver(([entry]) => {
+      if (entry.isIntersecting) setInView(true);
+    }, { rootMargin });
+
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, [ref, inView, rootMargin]);
+
+  return inView;
+}
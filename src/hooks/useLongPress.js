@@ -0,0 +1,38 @@
+import { useRef, useCallback } from 'react';
+
+/**
+ * Hook to open a context menu on right-click (desktop) or long-press (touch).
+ * onTrigger receives the { x, y } viewport position of the pointer.
+ */
+export function useLongPress(onTrigger, delay = 500) {
+  const timerRef = useRef(null);
+  const firedRef = useRef(false);
+
+  const cancel = useCallback(() => {
+    clearTimeout(timerRef.current);
+  }, []);
+
+  const onTouchStart = useCallback((e) => {
+    const touch = e.touches[0];
+    const position = { x: touch.clientX, y: touch.clientY };
+    firedRef.current = false;
+    clearTimeout(timerRef.current);
+    timerRef.current = setTimeout(() => {
+      firedRef.current = true;
+      onTrigger(position);
+    }, delay);
+  }, [onTrigger, delay]);
+
+  const onTouchEnd = useCallback((e) => {
+    cancel();
+    // Swallow the click that follows a long-press so the menu stays open
+    if (firedRef.current) e.preventDefault();
+  }, [cancel]);
+
+  const onContextMenu = useCallback((e) => {
+    e.preventDefault();
+    onTrigger({ x: e.clientX, y: e.clientY });
+  }, [onTrigger]);
+
+  return { onTouchStart, onTouchEnd, onTouchMove: cancel, onContextMenu };
+}
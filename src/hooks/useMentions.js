@@ -0,0 +1,91 @@
+import { useState, useCallback, useMemo } from 'react';
+import { EVERYONE, activeMentionQuery, mentionName, mentionsInText } from '../lib/mentions';
+
+const MAX_SUGGESTIONS = 6;
+
+/**
+ * Hook for @mention autocomplete in a composer input.
+ * Tracks the "@query" at the caret, offers matching members (and @everyone when allowed),
+ * and remembers picked mentions so they can be sent as metadata.mentions.
+ * allowEveryone only controls the suggestion; the database rejects @everyone from
+ * anyone but teachers and admins.
+ */
+export function useMentions(members, { currentUserId, allowEveryone, value, onChange, inputRef }) {
+  const [query, setQuery] = useState(null);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [picked, setPicked] = useState([]);
+
+  const suggestions = useMemo(() => {
+    if (!query) return [];
+
+    const q = query.text.toLowerCase();
+    const candidates = [
+      ...(allowEveryone ? [{ ...EVERYONE, description: 'Notify everyone in this class' }] : []),
+      ...(members || [])
+        .filter(m => m?.id && m.id !== currentUserId)
+        .map(m => ({ id: m.id, name: mentionName(m), description: m.email, avatar_url: m.avatar_url }))
+    ];
+    return candidates
+      .filter(c => c.name.toLowerCase().includes(q) || c.description?.toLowerCase().startsWith(q))
+      .slice(0, MAX_SUGGESTIONS);
+  }, [query, members, currentUserId, allowEveryone]);
+
+  // Call from the input's onChange with the new value and caret position
+  const handleInput = useCallback((text, caret) => {
+    setQuery(activeMentionQuery(text, caret));
+    setActiveIndex(0);
+  }, []);
+
+  const select = useCallback((candidate) => {
+    if (!query) return;
+
+    const end = query.start + 1 + query.text.length;
+    const inserted = `@${candidate.name} `;
+    const caret = query.start + inserted.length;
+
+    onChange(value.slice(0, query.start) + inserted + value.slice(end));
+    setPicked(prev => [...prev.filter(m => m.id !== candidate.id), { id: candidate.id, name: candidate.name }]);
+    setQuery(null);
+
+    requestAnimationFrame(() => {
+      inputRef.current?.focus();
+      inputRef.current?.setSelectionRange(caret, caret);
+    });
+  }, [query, value, onChange, inputRef]);
+
+  // Arrow keys / Enter / Tab / Escape while the list is open. Returns true if handled.
+  const handleKeyDown = useCallback((e) => {
+    if (suggestions.length === 0) return false;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex(i => (i + step + suggestions.length) % suggestions.length);
+      return true;
+    }
+    if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      select(suggestions[Math.min(activeIndex, suggestions.length - 1)]);
+      return true;
+    }
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      setQuery(null);
+      return true;
+    }
+    return false;
+  }, [suggestions, activeIndex, select]);
+
+  const close = useCallback(() => setQuery(null), []);
+
+  // Start over, e.g. after sending, or with a message's mentions when editing it
+  const reset = useCallback((mentions = []) => {
+    setPicked(mentions);
+    setQuery(null);
+  }, []);
+
+  // The mentions to send with this text
+  const collect = useCallback((text) => mentionsInText(text, picked), [picked]);
+
+  return { suggestions, activeIndex, setActiveIndex, handleInput, handleKeyDown, select, close, reset, collect };
+}
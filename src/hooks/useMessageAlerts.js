@@ -0,0 +1,88 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useLocation } from 'react-router-dom';
+import { supabase } from '@/lib/supabase';
+import { chatService } from '@/services/chatService';
+import { playNotificationSound } from '@/lib/notificationSound';
+import { useAutoRetry } from './useNetworkStatus';
+
+// Number of mounted calls holding do-not-disturb (see useDoNotDisturb)
+let doNotDisturbHolders = 0;
+
+// The conversation on screen, from a /chat/:id or /classroom/:id route
+export const openConversationId = (pathname) => pathname.match(/^\/(?:chat|classroom)\/([^/]+)/)?.[1] || null;
+
+/**
+ * Hook to silence in-app message sounds while the calling component is mounted.
+ * GroupCallStage uses it so nothing chimes over a class call.
+ */
+export function useDoNotDisturb() {
+  useEffect(() => {
+    doNotDisturbHolders++;
+    return () => {
+      doNotDisturbHolders--;
+    };
+  }, []);
+}
+
+/**
+ * Hook to play a sound when someone else's message arrives in one of my conversations
+ * (direct or group), unless it's the one on screen, it's muted, or I'm in a call.
+ * Listens to 'message-received' (see useConversationFeed). Mount once, near the top
+ * of the signed-in app.
+ */
+export function useMessageAlerts() {
+  const { pathname } = useLocation();
+  // conversation id -> muted (conversations never muted may be missing)
+  const [muted, setMuted] = useState({});
+
+  const openIdRef = useRef(null);
+  const mutedRef = useRef(muted);
+
+  useEffect(() => {
+    openIdRef.current = openConversationId(pathname);
+  }, [pathname]);
+
+  useEffect(() => {
+    mutedRef.current = muted;
+  }, [muted]);
+
+  const loadMuted = useCallback(async () => {
+    try {
+      const mutedIds = await chatService.getMutedConversationIds();
+      setMuted(Object.fromEntries(mutedIds.map(id => [id, true])));
+    } catch (error) {
+      console.error('Error loading muted conversations for alerts:', error);
+    }
+  }, []);
+
+  useAutoRetry(loadMuted, []);
+
+  useEffect(() => {
+    supabase.auth.getUser().then(({ data: { user } }) => {
+      if (user) loadMuted();
+    });
+  }, [loadMuted]);
+
+  useEffect(() => {
+    const handleMuted = ({ detail }) => {
+      setMuted(prev => ({ ...prev, [detail.conversationId]: detail.muted }));
+    };
+
+    const handleMessage = ({ detail }) => {
+      const { conversation_id } = detail.message;
+      if (mutedRef.current[conversation_id]) return;
+      if (doNotDisturbHolders > 0) return;
+      // Open and visible: the message is already in front of me
+      if (conversation_id === openIdRef.current && document.visibilityState === 'visible') return;
+
+      playNotificationSound();
+    };
+
+    window.addEventListener('chat-muted', handleMuted);
+    window.addEventListener('message-received', handleMessage);
+    return () => {
+      window.removeEventListener('chat-muted', handleMuted);
+      window.removeEventListener('message-received', handleMessage);
+    };
+  }, []);
+}
@@ -0,0 +1,45 @@
+import { useEffect } from 'react';
+import { cacheService } from '../services/cacheService';
+
+const SAVE_DELAY = 1000;
+
+// (created_at, id) order, the same keyset the message pages use
+const isBefore = (a, b) => a.created_at < b.created_at || (a.created_at === b.created_at && a.id < b.id);
+
+/**
+ * Swap the cached rows that the freshly fetched latest page covers for the server's copies,
+ * so edits, deletes, reactions and read ticks made while away show up. Older cached rows
+ * are kept; unsent messages and realtime rows newer than the page stay at the bottom.
+ */
+export function mergeLatestPage(messages, page) {
+  if (page.length === 0) return messages.filter(m => m.pending);
+
+  const oldest = page[0];
+  const newest = page[page.length - 1];
+  const confirmed = new Set(page.map(m => m.client_id).filter(Boolean));
+
+  const older = messages.filter(m => !m.pending && isBefore(m, oldest));
+  const rest = messages.filter(m => m.pending ? !confirmed.has(m.client_id) : isBefore(newest, m));
+  return [...older, ...page, ...rest];
+}
+
+// Whether the latest page reaches back to the newest cached row, leaving no gap
+export function bridgesCache(page, hasMore, cachedNewest) {
+  return !hasMore || (page.length > 0 && !isBefore(cachedNewest, page[0]));
+}
+
+/**
+ * Hook to mirror a conversation's messages into the offline cache.
+ * Saves are debounced so bursts (realtime, paging, reactions) write once.
+ */
+export function useMessageCache(conversationId, messages, loading) {
+  useEffect(() => {
+    if (!conversationId || loading || messages.length === 0) return;
+
+    const timer = setTimeout(() => {
+      cacheService.saveMessages(conversationId, messages);
+    }, SAVE_DELAY);
+
+    return () => clearTimeout(timer);
+  }, [conversationId, messages, loading]);
+}
@@ -0,0 +1,62 @@
+import { useEffect, useCallback } from 'react';
+import { supabase } from '../lib/supabase';
+import { chatService } from '../services/chatService';
+
+const addTo = (messages, reaction) => messages.map(m => {
+  if (m.id !== reaction.message_id) return m;
+  const reactions = m.reactions || [];
+  // Our own inserts arrive twice (insert response + realtime)
+  if (reactions.some(r => r.id === reaction.id)) return m;
+  return { ...m, reactions: [...reactions, reaction] };
+});
+
+const removeFrom = (messages, { message_id, user_id, emoji }) => messages.map(m => {
+  if (m.id !== message_id || !m.reactions) return m;
+  return { ...m, reactions: m.reactions.filter(r => !(r.user_id === user_id && r.emoji === emoji)) };
+});
+
+// Realtime DELETEs only say which reaction row went
+const removeById = (messages, reactionId) => messages.map(m => {
+  if (!m.reactions?.some(r => r.id === reactionId)) return m;
+  return { ...m, reactions: m.reactions.filter(r => r.id !== reactionId) };
+});
+
+/**
+ * Hook to keep message.reactions in sync for a conversation.
+ * Subscribes to reaction changes and returns toggleReaction(message, emoji).
+ */
+export function useMessageReactions(conversationId, userId, setMessages, onError) {
+  useEffect(() => {
+    if (!conversationId || !userId) return;
+
+    const channel = chatService.subscribeToReactions(
+      conversationId,
+      (reaction) => setMessages(prev => addTo(prev, reaction)),
+      (reactionId) => setMessages(prev => removeById(prev, reactionId))
+    );
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  }, [conversationId, userId, setMessages]);
+
+  const toggleReaction = useCallback(async (message, emoji) => {
+    const mine = (message.reactions || []).filter(r => r.user_id === userId && r.emoji === emoji);
+    try {
+      if (mine.length > 0) {
+        setMessages(prev => removeFrom(prev, { message_id: message.id, user_id: userId, emoji }));
+        await chatService.removeReaction(message.id, emoji);
+      } else {
+        const reaction = await chatService.addReaction(message, emoji);
+        setMessages(prev => addTo(prev, reaction));
+      }
+    } catch (error) {
+      console.error('Error updating reaction:', error);
+      // Put back a reaction we removed optimistically
+      if (mine.length > 0) setMessages(prev => mine.reduce(addTo, prev));
+      if (onError) onError(error);
+    }
+  }, [userId, setMessages, onError]);
+
+  return toggleReaction;
+}
@@ -0,0 +1,113 @@
+import { useEffect, useCallback } from 'react';
+import { outboxService } from '../services/outboxService';
+import { useAutoRetry } from './useNetworkStatus';
+
+// Keep only what a quote needs, so outbox entries stay small and cloneable
+const quoteOf = (message) => message && {
+  id: message.id,
+  sender_id: message.sender_id,
+  sender: message.sender || null,
+  content: message.content,
+  type: message.type,
+  metadata: message.metadata,
+  deleted_at: message.deleted_at || null
+};
+
+/**
+ * Add a confirmed row to the list, replacing its optimistic copy if there is one.
+ * Both the insert response and the realtime INSERT go through here, in either order.
+ */
+export function mergeConfirmed(messages, row) {
+  if (row.client_id && messages.some(m => m.client_id === row.client_id)) {
+    return messages.map(m => m.client_id === row.client_id
+      ? { ...m, ...row, pending: false }
+      : m);
+  }
+  if (messages.some(m => m.id === row.id)) return messages;
+  return [...messages, row];
+}
+
+/**
+ * Hook for optimistic sending through the IndexedDB outbox.
+ * send() shows the message at once with a "sending" status; the outbox then moves it
+ * to "sent" or "failed". retry()/discard() act on failed messages.
+ * Pass threadId for a thread panel; the main timeline (no threadId) ignores thread replies.
+ */
+export function useOutbox(conversationId, chatType, userId, setMessages, threadId = null) {
+  useEffect(() => {
+    if (!conversationId) return;
+
+    const handleStatus = ({ detail }) => {
+      if (detail.conversationId !== conversationId) return;
+
+      if (detail.status === 'sent') {
+        if ((detail.message.thread_id || null) !== threadId) return;
+        setMessages(prev => mergeConfirmed(prev, detail.message));
+      } else {
+        setMessages(prev => prev.map(m => m.pending && m.client_id === detail.clientId
+          ? { ...m, status: detail.status }
+          : m));
+      }
+    };
+
+    window.addEventListener('outbox-status', handleStatus);
+    return () => window.removeEventListener('outbox-status', handleStatus);
+  }, [conversationId, threadId, setMessages]);
+
+  const send = useCallback(async ({ content = null, type = 'text', metadata = {}, replyTo = null, blob = null }) => {
+    if (!conversationId || !userId) return;
+
+    const entry = {
+      client_id: crypto.randomUUID(),
+      conversation_id: conversationId,
+      chat_type: chatType,
+      sender_id: userId,
+      content,
+      type,
+      metadata,
+      reply_to_id: replyTo?.id || null,
+      reply_to: quoteOf(replyTo),
+      thread_id: threadId,
+      blob,
+      created_at: new Date().toISOString(),
+      status: 'sending'
+    };
+
+    setMessages(prev => [...prev, outboxService.toMessage(entry)]);
+    await outboxService.enqueue(entry);
+  }, [conversationId, chatType, userId, threadId, setMessages]);
+
+  const retry = useCallback((message) => {
+    setMessages(prev => prev.map(m => m.pending && m.client_id === message.client_id
+      ? { ...m, status: 'sending' }
+      : m));
+    outboxService.retry(message.conversation_id);
+  }, [setMessages]);
+
+  const discard = useCallback(async (message) => {
+    setMessages(prev => prev.filter(m => !(m.pending && m.client_id === message.client_id)));
+    try {
+      await outboxService.discard(message.client_id);
+    } catch (error) {
+      console.error('Error discarding message:', error);
+    }
+  }, [setMessages]);
+
+  return { send, retry, discard };
+}
+
+/**
+ * Hook to send whatever is left in the outbox on startup and after reconnecting.
+ * Mount once, near the top of the signed-in app.
+ */
+export function useOutboxFlush() {
+  const flush = useCallback(() => {
+    outboxService.flush().catch(err => console.error('Failed to flush outbox:', err));
+  }, []);
+
+  useEffect(() => {
+    flush();
+  }, [flush]);
+
+  useAutoRetry(flush, [flush]);
+}
@@ -0,0 +1,62 @@
+import { useState, useEffect, useCallback } from 'react';
+import { classroomService } from '../services/classroomService';
+
+/**
+ * Hook to keep a class's pinned messages in sync.
+ * Returns { pins, isPinned(messageId), togglePin(message) }; pins are newest first.
+ */
+export function usePinnedMessages(conversationId, onError) {
+  const [pins, setPins] = useState([]);
+  const [pinsChatId, setPinsChatId] = useState(conversationId);
+
+  // Pins belong to the previous class until the new ones load
+  if (conversationId !== pinsChatId) {
+    setPinsChatId(conversationId);
+    setPins([]);
+  }
+
+  useEffect(() => {
+    if (!conversationId) return;
+    let cancelled = false;
+
+    const refresh = async () => {
+      try {
+        const data = await classroomService.getPinnedMessages(conversationId);
+        if (!cancelled) setPins(data);
+      } catch (error) {
+        console.error('Error loading pinned messages:', error);
+      }
+    };
+
+    refresh();
+    const channel = classroomService.subscribeToPins(
+      conversationId,
+      refresh,
+      (pinId) => setPins(prev => prev.some(p => p.id === pinId) ? prev.filter(p => p.id !== pinId) : prev)
+    );
+
+    return () => {
+      cancelled = true;
+      classroomService.unsubscribe(channel);
+    };
+  }, [conversationId]);
+
+  const isPinned = useCallback((messageId) => pins.some(p => p.message_id === messageId), [pins]);
+
+  const togglePin = useCallback(async (message) => {
+    try {
+      if (isPinned(message.id)) {
+        await classroomService.unpinMessage(message.id);
+      } else {
+        await classroomService.pinMessage(conversationId, message.id);
+      }
+      // Realtime refreshes too; this covers a slow or dropped subscription
+      setPins(await classroomService.getPinnedMessages(conversationId));
+    } catch (error) {
+      console.error('Error updating pin:', error);
+      onError?.(error);
+    }
+  }, [conversationId, isPinned, onError]);
+
+  return { pins, isPinned, togglePin };
+}
@@ -0,0 +1,34 @@
+import { createContext, useContext } from 'react';
+
+export const PresenceContext = createContext(null);
+
+/**
+ * Hook to read app-wide online presence (provided by PresenceProvider).
+ * Returns { isOnline(userId), getLastSeen(userId, fallback), now }.
+ */
+export function usePresence() {
+  const context = useContext(PresenceContext);
+  if (!context) {
+    throw new Error('usePresence must be used within a PresenceProvider');
+  }
+  return context;
+}
+
+/**
+ * "last seen just now", "last seen 5 min ago", "last seen 3 h ago", "last seen yesterday", ...
+ */
+export function formatLastSeen(isoString, now = Date.now()) {
+  if (!isoString) return '';
+
+  const date = new Date(isoString);
+  const minutes = Math.floor((now - date.getTime()) / 60000);
+
+  if (minutes < 1) return 'last seen just now';
+  if (minutes < 60) return `last seen ${minutes} min ago`;
+
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `last seen ${hours} h ago`;
+  if (hours < 48) return 'last seen yesterday';
+
+  return `last seen ${date.toLocaleDateString()}`;
+}
@@ -0,0 +1,56 @@
+import { useEffect, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+
+const FLASH_CLASSES = ['bg-yellow-100', 'dark:bg-yellow-500/20', 'rounded-2xl'];
+
+/**
+ * Hook to open a chat at a specific message, e.g. from a search result (?message=<id>).
+ * Loads older pages until the message is in the list, then scrolls to it and flashes it.
+ * Message elements must carry a data-message-id attribute inside the container.
+ * Returns jumpToMessage(id) for in-chat jumps (e.g. tapping a quoted reply).
+ */
+export function useScrollToMessage({ conversationId, messages, loading, hasMore, loadOlder, containerRef }) {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const targetId = searchParams.get('message');
+
+  useEffect(() => {
+    // Wait until this conversation's messages are in
+    if (!targetId || loading || messages.length === 0) return;
+    if (messages[0].conversation_id !== conversationId) return;
+
+    const clearTarget = () => {
+      setSearchParams(prev => {
+        const next = new URLSearchParams(prev);
+        next.delete('message');
+        return next;
+      }, { replace: true });
+    };
+
+    if (!messages.some(m => String(m.id) === targetId)) {
+      if (hasMore) {
+        loadOlder();
+      } else {
+        clearTarget();
+      }
+      return;
+    }
+
+    const el = containerRef.current?.querySelector(`[data-message-id="${targetId}"]`);
+    if (el) {
+      el.scrollIntoView({ block: 'center' });
+      el.classList.add(...FLASH_CLASSES);
+      setTimeout(() => el.classList.remove(...FLASH_CLASSES), 2000);
+    }
+    clearTarget();
+  }, [targetId, conversationId, loading, messages, hasMore, loadOlder, containerRef, setSearchParams]);
+
+  const jumpToMessage = useCallback((messageId) => {
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      next.set('message', messageId);
+      return next;
+    }, { replace: true });
+  }, [setSearchParams]);
+
+  return jumpToMessage;
+}
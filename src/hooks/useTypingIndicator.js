@@ -0,0 +1,92 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+const SEND_INTERVAL = 2000;  // Re-announce "typing" at most this often
+const IDLE_TIMEOUT = 3000;   // Announce "stopped" after this long without keystrokes
+const EXPIRE_AFTER = 5000;   // Drop a typist we haven't heard from (closed tab, lost network)
+
+/**
+ * Hook for "X is typing…" over Supabase realtime broadcast.
+ * Wire handleTypingEvent to the conversation channel's 'typing' broadcast,
+ * and call notifyTyping on every keystroke / notifyStopped when the message is sent.
+ */
+export function useTypingIndicator(channelRef, conversationId, userId, userName) {
+  const [typists, setTypists] = useState([]); // [{ userId, name, conversationId, expiresAt }]
+  const lastSentRef = useRef(0);
+  const idleTimerRef = useRef(null);
+
+  const handleTypingEvent = useCallback((payload) => {
+    if (!payload?.userId) return;
+
+    setTypists(prev => {
+      const others = prev.filter(t => t.userId !== payload.userId);
+      if (!payload.isTyping) return others;
+      return [...others, {
+        userId: payload.userId,
+        name: payload.name,
+        conversationId: payload.conversationId,
+        expiresAt: Date.now() + EXPIRE_AFTER
+      }];
+    });
+  }, []);
+
+  // Expire typists whose refresh never came
+  useEffect(() => {
+    if (typists.length === 0) return;
+
+    const nextExpiry = Math.min(...typists.map(t => t.expiresAt));
+    const timer = setTimeout(() => {
+      setTypists(prev => prev.filter(t => t.expiresAt > Date.now()));
+    }, Math.max(0, nextExpiry - Date.now()));
+
+    return () => clearTimeout(timer);
+  }, [typists]);
+
+  const send = useCallback((isTyping) => {
+    if (!channelRef.current || !userId) return;
+    channelRef.current.send({
+      type: 'broadcast',
+      event: 'typing',
+      payload: { userId, name: userName, conversationId, isTyping }
+    });
+  }, [channelRef, conversationId, userId, userName]);
+
+  const notifyStopped = useCallback(() => {
+    clearTimeout(idleTimerRef.current);
+    if (lastSentRef.current) {
+      lastSentRef.current = 0;
+      send(false);
+    }
+  }, [send]);
+
+  const notifyTyping = useCallback(() => {
+    const now = Date.now();
+    if (now - lastSentRef.current >= SEND_INTERVAL) {
+      lastSentRef.current = now;
+      send(true);
+    }
+
+    clearTimeout(idleTimerRef.current);
+    idleTimerRef.current = setTimeout(notifyStopped, IDLE_TIMEOUT);
+  }, [send, notifyStopped]);
+
+  // Tell the others we left when switching chats or unmounting
+  useEffect(() => {
+    return () => notifyStopped();
+  }, [notifyStopped]);
+
+  const typingUsers = typists.filter(t => t.conversationId === conversationId);
+
+  return { typingUsers, handleTypingEvent, notifyTyping, notifyStopped };
+}
+
+/**
+ * "Ana is typing…", "Ana and Budi are typing…", "Ana, Budi and 2 others are typing…"
+ */
+export function describeTyping(typingUsers) {
+  const names = typingUsers.map(t => t.name || 'Someone');
+  if (names.length === 0) return '';
+  if (names.length === 1) return `${names[0]} is typing…`;
+  if (names.length === 2) return `${names[0]} and ${names[1]} are typing…`;
+  if (names.length === 3) return `${names[0]}, ${names[1]} and ${names[2]} are typing…`;
+  return `${names[0]}, ${names[1]} and ${names.length - 2} others are typing…`;
+}
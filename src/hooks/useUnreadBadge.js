@@ -0,0 +1,86 @@
+import { useEffect } from 'react';
+
+const APP_TITLE = 'Siichisei';
+const FAVICON_URL = '/icons/icon.svg';
+const BADGE_SIZE = 64;
+
+let faviconImage = null;
+
+const loadFavicon = () => {
+  if (!faviconImage) {
+    faviconImage = new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = reject;
+      img.src = FAVICON_URL;
+    });
+    faviconImage.catch(() => {
+      faviconImage = null;
+    });
+  }
+  return faviconImage;
+};
+
+const faviconLink = () => document.querySelector('link[rel="icon"]');
+
+// The app icon with a red count bubble in the corner, as a data URL
+const drawBadgedFavicon = async (count) => {
+  const img = await loadFavicon();
+  const canvas = document.createElement('canvas');
+  canvas.width = BADGE_SIZE;
+  canvas.height = BADGE_SIZE;
+  const ctx = canvas.getContext('2d');
+
+  ctx.drawImage(img, 0, 0, BADGE_SIZE, BADGE_SIZE);
+
+  const radius = BADGE_SIZE * 0.3;
+  const cx = BADGE_SIZE - radius;
+  const cy = radius;
+  ctx.beginPath();
+  ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+  ctx.fillStyle = '#ef4444';
+  ctx.fill();
+
+  ctx.fillStyle = '#ffffff';
+  ctx.font = `bold ${count > 9 ? radius * 1.1 : radius * 1.4}px system-ui, sans-serif`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(count > 9 ? '9+' : String(count), cx, cy + 1);
+
+  return canvas.toDataURL('image/png');
+};
+
+/**
+ * Hook to show the unread total in the tab title ("(3) Siichisei") and as a favicon badge.
+ */
+export function useUnreadBadge(count) {
+  useEffect(() => {
+    document.title = count > 0 ? `(${count}) ${APP_TITLE}` : APP_TITLE;
+
+    const link = faviconLink();
+    if (!link) return;
+
+    if (count === 0) {
+      link.href = FAVICON_URL;
+      return;
+    }
+
+    let cancelled = false;
+    drawBadgedFavicon(count)
+      .then(url => {
+        if (!cancelled) link.href = url;
+      })
+      .catch(error => console.warn('Could not draw favicon badge:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [count]);
+
+  // Back to the plain title and icon on sign out
+  useEffect(() => () => {
+    document.title = APP_TITLE;
+    const link = faviconLink();
+    if (link) link.href = FAVICON_URL;
+  }, []);
+}
@@ -0,0 +1,75 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useLocation } from 'react-router-dom';
+import { supabase } from '@/lib/supabase';
+import { chatService } from '@/services/chatService';
+import { useAutoRetry } from './useNetworkStatus';
+import { openConversationId } from './useMessageAlerts';
+
+// Each map only holds its own type, so updating both touches just one
+const bump = (counts, id) => (id in counts) ? { ...counts, [id]: counts[id] + 1 } : counts;
+const clear = (counts, id) => (id in counts) ? { ...counts, [id]: 0 } : counts;
+const sum = (counts) => Object.values(counts).reduce((total, n) => total + n, 0);
+
+/**
+ * Hook to track unread message counts per conversation, direct chats and classes apart.
+ * Counts go up on 'message-received' (see useConversationFeed) and reset on 'chat-read'.
+ * The chat on screen doesn't count up: it marks new messages read as they arrive.
+ * Returns { counts, total } for direct chats and { groupCounts, groupTotal } for classes.
+ */
+export function useUnreadCounts() {
+  const { pathname } = useLocation();
+  const [counts, setCounts] = useState({ direct: {}, group: {} });
+  const openIdRef = useRef(null);
+
+  useEffect(() => {
+    openIdRef.current = openConversationId(pathname);
+  }, [pathname]);
+
+  const loadCounts = useCallback(async () => {
+    try {
+      const data = await chatService.getUnreadCounts();
+      setCounts(data);
+    } catch (error) {
+      console.error('Error loading unread counts:', error);
+    }
+  }, []);
+
+  useAutoRetry(loadCounts, []);
+
+  useEffect(() => {
+    supabase.auth.getUser().then(({ data: { user } }) => {
+      if (user) loadCounts();
+    });
+  }, [loadCounts]);
+
+  useEffect(() => {
+    const handleMessage = ({ detail }) => {
+      const { conversation_id } = detail.message;
+      if (conversation_id === openIdRef.current) return;
+
+      setCounts(prev => ({ direct: bump(prev.direct, conversation_id), group: bump(prev.group, conversation_id) }));
+    };
+
+    const handleRead = (e) => {
+      const { conversationId } = e.detail;
+      setCounts(prev => ({ direct: clear(prev.direct, conversationId), group: clear(prev.group, conversationId) }));
+    };
+
+    window.addEventListener('message-received', handleMessage);
+    // Added to a new chat, pick it up
+    window.addEventListener('conversation-joined', loadCounts);
+    window.addEventListener('chat-read', handleRead);
+    return () => {
+      window.removeEventListener('message-received', handleMessage);
+      window.removeEventListener('conversation-joined', loadCounts);
+      window.removeEventListener('chat-read', handleRead);
+    };
+  }, [loadCounts]);
+
+  return {
+    counts: counts.direct,
+    total: sum(counts.direct),
+    groupCounts: counts.group,
+    groupTotal: sum(counts.group)
+  };
+}
@@ -0,0 +1,45 @@
+import { useEffect, useRef, useSyncExternalStore } from 'react';
+import { voicePlayback } from '@/lib/voicePlayback';
+import { cacheService } from '@/services/cacheService';
+
+/**
+ * The voice note currently playing anywhere in the app:
+ * { path, isPlaying, currentTime, duration }, or null.
+ */
+export function useVoicePlayback() {
+  return useSyncExternalStore(voicePlayback.subscribe, voicePlayback.getSnapshot);
+}
+
+const isAutoplayable = (message, currentUserId) =>
+  message.type === 'audio' && !message.pending && !message.deleted_at && message.sender_id !== currentUserId;
+
+/**
+ * When a voice note in this conversation plays to the end, continue with the
+ * next one from someone else that I haven't played yet.
+ */
+export function useVoiceNoteAutoplay(messages, currentUserId) {
+  const messagesRef = useRef(messages);
+
+  useEffect(() => {
+    messagesRef.current = messages;
+  }, [messages]);
+
+  useEffect(() => {
+    const handleEnded = async (e) => {
+      const list = messagesRef.current;
+      const index = list.findIndex(m => m.type === 'audio' && m.content === e.detail.path);
+      if (index === -1) return;
+
+      for (const next of list.slice(index + 1)) {
+        if (!isAutoplayable(next, currentUserId)) continue;
+        if (await cacheService.isVoiceNotePlayed(next.content)) continue;
+
+        voicePlayback.play(next.content);
+        return;
+      }
+    };
+
+    window.addEventListener('voice-note-ended', handleEnded);
+    return () => window.removeEventListener('voice-note-ended', handleEnded);
+  }, [currentUserId]);
+}
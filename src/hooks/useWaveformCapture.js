@@ -0,0 +1,83 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { downsamplePeaks } from '@/lib/waveform';
+import { resumeAudioContext } from '@/lib/audioContext';
+
+// Bars in the scrolling live meter
+const LIVE_LEVELS = 32;
+const SAMPLE_INTERVAL_MS = 50;
+
+/**
+ * Analyse a microphone stream while it records.
+ * `levels` is a rolling window (0-1) for a live meter; stop() returns the
+ * note's waveform as WAVEFORM_LENGTH peaks from 0 to 100.
+ */
+export function useWaveformCapture() {
+  const [levels, setLevels] = useState([]);
+  const sourceRef = useRef(null);
+  const analyserRef = useRef(null);
+  const intervalRef = useRef(null);
+  const samplesRef = useRef([]);
+
+  const release = useCallback(() => {
+    clearInterval(intervalRef.current);
+    intervalRef.current = null;
+    analyserRef.current = null;
+    sourceRef.current?.disconnect();
+    sourceRef.current = null;
+  }, []);
+
+  // An interval rather than rAF so sampling carries on in a background tab
+  const resume = useCallback(() => {
+    const analyser = analyserRef.current;
+    if (!analyser || intervalRef.current) return;
+
+    const buffer = new Float32Array(analyser.fftSize);
+    intervalRef.current = setInterval(() => {
+      analyser.getFloatTimeDomainData(buffer);
+      let peak = 0;
+      for (let i = 0; i < buffer.length; i++) {
+        const value = Math.abs(buffer[i]);
+        if (value > peak) peak = value;
+      }
+      samplesRef.current.push(peak);
+      // sqrt so normal speaking levels fill the meter
+      setLevels(prev => [...prev.slice(1 - LIVE_LEVELS), Math.min(1, Math.sqrt(peak))]);
+    }, SAMPLE_INTERVAL_MS);
+  }, []);
+
+  // Stop sampling while the recording is paused, so the waveform skips the gap
+  const pause = useCallback(() => {
+    clearInterval(intervalRef.current);
+    intervalRef.current = null;
+  }, []);
+
+  const start = useCallback((stream) => {
+    release();
+    samplesRef.current = [];
+    setLevels([]);
+
+    try {
+      const ctx = resumeAudioContext();
+      const analyser = ctx.createAnalyser();
+      analyser.fftSize = 1024;
+      const source = ctx.createMediaStreamSource(stream);
+      source.connect(analyser);
+      sourceRef.current = source;
+      analyserRef.current = analyser;
+      resume();
+    } catch (err) {
+      // No Web Audio: the note still records, just without a waveform
+      console.error('Waveform capture unavailable:', err);
+    }
+  }, [release, resume]);
+
+  const stop = useCallback(() => {
+    release();
+    setLevels([]);
+    return downsamplePeaks(samplesRef.current);
+  }, [release]);
+
+  useEffect(() => release, [release]);
+
+  return { levels, start, pause, resume, stop };
+}
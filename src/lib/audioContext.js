@@ -0,0 +1,18 @@
+// The app's one AudioContext, shared by voice notes, recording and notification sounds.
+// Browsers limit how many can be open, and each one holds on to the audio device.
+
+let context = null;
+
+export function getAudioContext() {
+  if (!context) {
+    context = new (window.AudioContext || window.webkitAudioContext)();
+  }
+  return context;
+}
+
+// Browsers keep the context suspended until the user has interacted with the page
+export function resumeAudioContext() {
+  const ctx = getAudioContext();
+  if (ctx.state === 'suspended') ctx.resume().catch(() => { });
+  return ctx;
+}
@@ -0,0 +1,7 @@
+// m:ss for voice note lengths and playback positions; 0:00 for missing or unknown values
+export function formatDuration(seconds) {
+  if (!seconds || !isFinite(seconds)) return '0:00';
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+}
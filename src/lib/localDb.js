@@ -0,0 +1,136 @@
+// Minimal promise wrapper around the app's IndexedDB database.
+// Bump DB_VERSION and extend upgrade() when adding object stores.
+
+const DB_NAME = 'siichisei';
+const DB_VERSION = 3;
+
+let dbPromise = null;
+
+const upgrade = (db) => {
+  if (!db.objectStoreNames.contains('outbox')) {
+    // Unsent messages, keyed by the client-generated id
+    const outbox = db.createObjectStore('outbox', { keyPath: 'client_id' });
+    outbox.createIndex('conversation_id', 'conversation_id');
+  }
+
+  // Offline cache (see cacheService)
+  if (!db.objectStoreNames.contains('conversations')) {
+    const conversations = db.createObjectStore('conversations', { keyPath: 'id' });
+    conversations.createIndex('kind', 'kind');
+  }
+  if (!db.objectStoreNames.contains('messages')) {
+    const messages = db.createObjectStore('messages', { keyPath: 'id' });
+    messages.createIndex('conversation_id', 'conversation_id');
+  }
+  if (!db.objectStoreNames.contains('profiles')) {
+    db.createObjectStore('profiles', { keyPath: 'id' });
+  }
+  if (!db.objectStoreNames.contains('voice_notes')) {
+    const voiceNotes = db.createObjectStore('voice_notes', { keyPath: 'path' });
+    voiceNotes.createIndex('cached_at', 'cached_at');
+  }
+  if (!db.objectStoreNames.contains('playback_positions')) {
+    // Voice notes I've played and where each was paused, so playback resumes there
+    const positions = db.createObjectStore('playback_positions', { keyPath: 'path' });
+    positions.createIndex('updated_at', 'updated_at');
+  }
+};
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+export function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => upgrade(request.result);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+// Resolves when a multi-request transaction commits
+const committed = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error);
+});
+
+const withStore = async (storeName, mode, fn) => {
+  const db = await openDb();
+  const tx = db.transaction(storeName, mode);
+  return promisify(fn(tx.objectStore(storeName)));
+};
+
+export const localDb = {
+  get(storeName, key) {
+    return withStore(storeName, 'readonly', store => store.get(key));
+  },
+
+  getAll(storeName) {
+    return withStore(storeName, 'readonly', store => store.getAll());
+  },
+
+  getAllByIndex(storeName, indexName, value) {
+    return withStore(storeName, 'readonly', store => store.index(indexName).getAll(value));
+  },
+
+  put(storeName, value) {
+    return withStore(storeName, 'readwrite', store => store.put(value));
+  },
+
+  delete(storeName, key) {
+    return withStore(storeName, 'readwrite', store => store.delete(key));
+  },
+
+  count(storeName) {
+    return withStore(storeName, 'readonly', store => store.count());
+  },
+
+  async putAll(storeName, values) {
+    const db = await openDb();
+    const tx = db.transaction(storeName, 'readwrite');
+    const store = tx.objectStore(storeName);
+    values.forEach(value => store.put(value));
+    return committed(tx);
+  },
+
+  // Atomically swap every record under an index value for a new set
+  async replaceByIndex(storeName, indexName, value, values) {
+    const db = await openDb();
+    const tx = db.transaction(storeName, 'readwrite');
+    const store = tx.objectStore(storeName);
+
+    store.index(indexName).getAllKeys(value).onsuccess = (e) => {
+      e.target.result.forEach(key => store.delete(key));
+      values.forEach(item => store.put(item));
+    };
+    return committed(tx);
+  },
+
+  // Delete the first `count` records in index order (e.g. oldest by a timestamp index)
+  async deleteFirstByIndex(storeName, indexName, count) {
+    const db = await openDb();
+    const tx = db.transaction(storeName, 'readwrite');
+    const store = tx.objectStore(storeName);
+
+    store.index(indexName).getAllKeys(null, count).onsuccess = (e) => {
+      e.target.result.forEach(key => store.delete(key));
+    };
+    return committed(tx);
+  },
+
+  async clear(storeNames) {
+    const db = await openDb();
+    const tx = db.transaction(storeNames, 'readwrite');
+    storeNames.forEach(name => tx.objectStore(name).clear());
+    return committed(tx);
+  }
+};
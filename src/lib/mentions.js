@@ -0,0 +1,56 @@
+// @mentions in group messages. A message stores who it mentions in metadata.mentions as
+// [{ id, name }] (id 'everyone' for @everyone); the content keeps the readable "@name" text.
+
+export const EVERYONE = { id: 'everyone', name: 'everyone' };
+
+const NOT_WORD = '(?![\\p{L}\\p{N}_])';
+const NOT_AFTER_WORD = '(?<![\\p{L}\\p{N}_])';
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export const mentionName = (profile) => profile?.nickname || profile?.email?.split('@')[0] || 'Unknown';
+
+// The "@que" being typed right before the caret, if any
+export function activeMentionQuery(text, caret) {
+  const match = text.slice(0, caret).match(/(^|\s)@([^\s@]*)$/u);
+  if (!match) return null;
+  return { start: caret - match[2].length - 1, text: match[2] };
+}
+
+const mentionPattern = (mentions) => {
+  const names = [...new Set(mentions.map(m => m.name))]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp);
+  return new RegExp(`${NOT_AFTER_WORD}@(${names.join('|')})${NOT_WORD}`, 'gu');
+};
+
+// Keep the picked mentions whose "@name" is still in the text, once each
+export function mentionsInText(text, mentions) {
+  if (!text || !mentions?.length) return [];
+  const present = new Set([...text.matchAll(mentionPattern(mentions))].map(m => m[1]));
+  const seen = new Set();
+  return mentions.filter(m => {
+    if (!present.has(m.name) || seen.has(m.id)) return false;
+    seen.add(m.id);
+    return true;
+  });
+}
+
+// Split text into plain and mention segments for rendering
+export function splitMentions(text, mentions) {
+  if (!text || !mentions?.length) return [{ text }];
+
+  const byName = new Map(mentions.map(m => [m.name, m]));
+  const segments = [];
+  let last = 0;
+  for (const match of text.matchAll(mentionPattern(mentions))) {
+    if (match.index > last) segments.push({ text: text.slice(last, match.index) });
+    segments.push({ text: match[0], mention: byName.get(match[1]) });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) segments.push({ text: text.slice(last) });
+  return segments;
+}
+
+export const mentionsUser = (mentions, userId) =>
+  !!mentions?.some(m => m.id === userId || m.id === EVERYONE.id);
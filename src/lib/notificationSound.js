@@ -0,0 +1,38 @@
+// Short two-note chime for incoming messages, synthesized so there's no audio file to load.
+
+import { resumeAudioContext } from './audioContext';
+
+const MIN_INTERVAL = 1500;
+
+let lastPlayedAt = 0;
+
+const tone = (ctx, frequency, start, duration) => {
+  const oscillator = ctx.createOscillator();
+  const gain = ctx.createGain();
+
+  oscillator.type = 'sine';
+  oscillator.frequency.value = frequency;
+  gain.gain.setValueAtTime(0.0001, start);
+  gain.gain.exponentialRampToValueAtTime(0.2, start + 0.01);
+  gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+
+  oscillator.connect(gain).connect(ctx.destination);
+  oscillator.start(start);
+  oscillator.stop(start + duration);
+};
+
+export function playNotificationSound() {
+  // A burst of messages gets one chime, not one each
+  const now = Date.now();
+  if (now - lastPlayedAt < MIN_INTERVAL) return;
+  lastPlayedAt = now;
+
+  try {
+    const context = resumeAudioContext();
+    const start = context.currentTime;
+    tone(context, 880, start, 0.12);
+    tone(context, 1320, start + 0.1, 0.18);
+  } catch (error) {
+    console.warn('Could not play notification sound:', error);
+  }
+}
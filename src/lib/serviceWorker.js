@@ -0,0 +1,59 @@
+// Service worker registration and the "new version available" handshake.
+// The worker is only built for production (see vite.config.js), so dev skips all of this.
+
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000;
+
+let waitingWorker = null;
+
+// UpdatePrompt listens for this; waitingWorker covers an update found before it mounted
+const notifyUpdate = (worker) => {
+  waitingWorker = worker;
+  window.dispatchEvent(new CustomEvent('sw-update-available', { detail: { worker } }));
+};
+
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+  // The very first install also changes the controller (clients.claim), which shouldn't reload
+  const hadController = !!navigator.serviceWorker.controller;
+  let reloading = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (!hadController || reloading) return;
+    reloading = true;
+    window.location.reload();
+  });
+
+  window.addEventListener('load', async () => {
+    try {
+      const registration = await navigator.serviceWorker.register('/sw.js');
+
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        notifyUpdate(registration.waiting);
+      }
+
+      registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker?.addEventListener('statechange', () => {
+          // Installed while another worker controls the page = an update, not the first install
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+            notifyUpdate(worker);
+          }
+        });
+      });
+
+      // Tabs (and installed apps) stay open for days, so don't rely on navigations alone
+      setInterval(() => registration.update(), UPDATE_CHECK_INTERVAL);
+    } catch (error) {
+      console.error('Service worker registration failed:', error);
+    }
+  });
+}
+
+export function getWaitingWorker() {
+  return waitingWorker;
+}
+
+// Activate the waiting worker; the controllerchange listener then reloads the page
+export function applyUpdate(worker) {
+  worker.postMessage({ type: 'SKIP_WAITING' });
+}
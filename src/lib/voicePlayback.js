@@ -0,0 +1,60 @@
+// The voice note that is playing, shared by every AudioPlayer so only one plays at a time
+// and the chat's mini player can follow it.
+//
+// Players talk back through window events:
+//   'voice-note-play'  detail = { path }  asks the player of that note to start
+//   'voice-note-ended' detail = { path }  a note played to the end (drives autoplay)
+
+let active = null;   // { id, pause } of the player that owns the snapshot
+let snapshot = null; // { path, isPlaying, currentTime, duration }
+const listeners = new Set();
+
+const emit = () => listeners.forEach(listener => listener());
+
+export const voicePlayback = {
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  getSnapshot() {
+    return snapshot;
+  },
+
+  // A player started: pause whichever other one was playing
+  claim(id, pause, state) {
+    if (active && active.id !== id) active.pause();
+    active = { id, pause };
+    snapshot = state;
+    emit();
+  },
+
+  // Progress from the active player; others are ignored
+  update(id, state) {
+    if (active?.id !== id) return;
+    snapshot = { ...snapshot, ...state };
+    emit();
+  },
+
+  release(id) {
+    if (active?.id !== id) return;
+    active = null;
+    snapshot = null;
+    emit();
+  },
+
+  play(path) {
+    window.dispatchEvent(new CustomEvent('voice-note-play', { detail: { path } }));
+  },
+
+  pause() {
+    active?.pause();
+  },
+
+  // Pause and hide the mini player
+  stop() {
+    if (!active) return;
+    active.pause();
+    voicePlayback.release(active.id);
+  }
+};
@@ -0,0 +1,19 @@
+// Bars stored with a voice note (AudioPlayer's fallback pattern uses the same count)
+export const WAVEFORM_LENGTH = 40;
+
+// Reduce a run of peak amplitudes to `length` bars, scaled 0-100 against the loudest one
+export function downsamplePeaks(samples, length = WAVEFORM_LENGTH) {
+  if (samples.length === 0) return [];
+
+  const bars = Array.from({ length }, (_, i) => {
+    const start = Math.floor(i * samples.length / length);
+    const end = Math.max(start + 1, Math.floor((i + 1) * samples.length / length));
+    let peak = 0;
+    for (let j = start; j < end && j < samples.length; j++) {
+      if (samples[j] > peak) peak = samples[j];
+    }
+    return peak;
+  });
+  const loudest = Math.max(...bars) || 1;
+  return bars.map(peak => Math.round(peak / loudest * 100));
+}
@@ -4,11 +4,16 @@ import './index.css'
 import App from './App.jsx'
 
 import { ToastProvider } from './components/ui/Toast'
+import UpdatePrompt from './components/ui/UpdatePrompt'
+import { registerServiceWorker } from './lib/serviceWorker'
+
+registerServiceWorker()
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
     <ToastProvider>
       <App />
+      <UpdatePrompt />
     </ToastProvider>
   </StrictMode>,
 )
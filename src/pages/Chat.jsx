@@ -4,6 +4,7 @@ import ChatLobby from '../components/chat/ChatLobby';
 import MessageArea from '../components/chat/MessageArea';
 import NewChatModal from '../components/chat/NewChatModal';
 import { chatService } from '../services/chatService';
+import { cacheService } from '../services/cacheService';
 
 export default function Chat() {
   const { chatId } = useParams();
@@ -44,6 +45,10 @@ export default function Chat() {
   const loadChatDetails = async (id) => {
     // Temporary solution: Fetch all chats and find matching ID. 
     // Ideally backend endpoint for single chat.
+    // Open straight from the offline cache when we have it, then refresh below
+    const cached = await cacheService.getConversation(id);
+    if (cached) setSelectedChat(cached);
+
     try {
       // Verify if we already have it? No state here.
       // Let's just re-use chatService.getChats() for now as it's not too heavy yet
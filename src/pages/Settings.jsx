@@ -1,11 +1,14 @@
 import { useState, useEffect } from 'react'
 import { supabase } from '@/lib/supabase'
+import { chatService } from '@/services/chatService'
+import { cacheService } from '@/services/cacheService'
+import { pushService } from '@/services/pushService'
 import { useAuth } from '@/hooks/useAuth'
 import { Button } from '@/components/ui/button'
 import { Input } from '@/components/ui/input'
 import { Label } from '@/components/ui/label'
 import { Card, CardHeader, CardTitle, CardDescription, CardContent, CardFooter } from '@/components/ui/card'
-import { Loader2, LogOut, Save, Pencil, X } from 'lucide-react'
+import { Loader2, LogOut, Save, Pencil, X, Bell, BellOff, Volume2, VolumeX, MessageSquare, GraduationCap } from 'lucide-react'
 import { ConfirmationModal } from '@/components/ui/ConfirmationModal'
 
 export default function Settings() {
@@ -24,6 +27,28 @@ export default function Settings() {
   // Store original data for reverting changes
   const [originalData, setOriginalData] = useState({ full_name: '', nickname: '' })
 
+  // Push notifications on this device
+  const pushSupported = pushService.isSupported()
+  const [pushEnabled, setPushEnabled] = useState(false)
+  const [pushPermission, setPushPermission] = useState(() => pushService.permission())
+  const [pushBusy, setPushBusy] = useState(false)
+  const [pushError, setPushError] = useState(null)
+
+  useEffect(() => {
+    pushService.getSubscription()
+      .then(subscription => setPushEnabled(!!subscription))
+      .catch(error => console.warn('Error reading push subscription:', error.message))
+  }, [])
+
+  // Per-conversation mute
+  const [conversations, setConversations] = useState([])
+
+  useEffect(() => {
+    chatService.getConversationSettings()
+      .then(list => setConversations(list.sort((a, b) => (a.name || '').localeCompare(b.name || ''))))
+      .catch(error => console.warn('Error loading conversations:', error.message))
+  }, [])
+
   useEffect(() => {
     if (session?.user) {
       getProfile()
@@ -95,9 +120,54 @@ export default function Settings() {
     setIsEditing(false)
   }
 
+  async function togglePush() {
+    try {
+      setPushBusy(true)
+      setPushError(null)
+      if (pushEnabled) {
+        await pushService.unsubscribe()
+        setPushEnabled(false)
+      } else {
+        await pushService.subscribe(session.user.id)
+        setPushEnabled(true)
+      }
+    } catch (error) {
+      setPushError(error.message)
+    } finally {
+      setPushPermission(pushService.permission())
+      setPushBusy(false)
+    }
+  }
+
+  async function toggleMuted(conversation) {
+    const muted = !conversation.muted
+    const setMuted = (value) => setConversations(prev =>
+      prev.map(c => c.id === conversation.id ? { ...c, muted: value } : c))
+
+    setMuted(muted)
+    try {
+      await chatService.setConversationMuted(conversation.id, muted)
+    } catch (error) {
+      setMuted(!muted)
+      alert('Error updating conversation: ' + error.message)
+    }
+  }
+
   async function handleLogout() {
+    // While still signed in, so the subscription row can be deleted
+    try {
+      await pushService.unsubscribe()
+    } catch (error) {
+      console.warn('Error removing push subscription:', error.message)
+    }
+
     const { error } = await supabase.auth.signOut()
-    if (error) alert('Error signing out!')
+    if (error) {
+      alert('Error signing out!')
+      return
+    }
+    // Don't leave this account's messages on the device for the next user
+    await cacheService.clear()
   }
 
   return (
@@ -170,6 +240,78 @@ export default function Settings() {
         )}
       </Card>
 
+      <Card>
+        <CardHeader>
+          <CardTitle>Notifications</CardTitle>
+          <CardDescription>
+            Choose how you hear about new messages and class calls.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-3">
+          {!pushSupported ? (
+            <p className="text-sm text-muted-foreground">
+              Push notifications aren't supported in this browser.
+            </p>
+          ) : pushPermission === 'denied' ? (
+            <p className="text-sm text-muted-foreground">
+              Notifications are blocked for this site. Allow them in your browser settings to turn them on.
+            </p>
+          ) : (
+            <div className="flex items-center justify-between gap-4">
+              <div className="space-y-1">
+                <p className="text-sm font-medium">Push notifications on this device</p>
+                <p className="text-sm text-muted-foreground">
+                  {pushEnabled ? 'On, even when Siichisei is closed' : 'Off'}
+                </p>
+              </div>
+              <Button variant={pushEnabled ? 'outline' : 'default'} onClick={togglePush} disabled={pushBusy}>
+                {pushBusy ? (
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                ) : pushEnabled ? (
+                  <BellOff className="mr-2 h-4 w-4" />
+                ) : (
+                  <Bell className="mr-2 h-4 w-4" />
+                )}
+                {pushEnabled ? 'Turn off' : 'Turn on'}
+              </Button>
+            </div>
+          )}
+          {pushError && <p className="text-sm text-destructive">{pushError}</p>}
+
+          {conversations.length > 0 && (
+            <div className="space-y-3 border-t pt-4">
+              <div className="space-y-1">
+                <p className="text-sm font-medium">Conversations</p>
+                <p className="text-sm text-muted-foreground">
+                  Muted conversations don't play a sound or send push notifications for new messages.
+                </p>
+              </div>
+              <ul className="divide-y rounded-md border">
+                {conversations.map(conversation => {
+                  const Icon = conversation.type === 'group' ? GraduationCap : MessageSquare
+                  return (
+                    <li key={conversation.id} className="flex items-center gap-3 px-3 py-2">
+                      <Icon className="h-4 w-4 text-muted-foreground flex-shrink-0" />
+                      <span className={`flex-1 truncate text-sm ${conversation.muted ? 'text-muted-foreground' : ''}`}>
+                        {conversation.name}
+                      </span>
+                      <Button variant="ghost" size="sm" onClick={() => toggleMuted(conversation)}>
+                        {conversation.muted ? (
+                          <VolumeX className="mr-2 h-4 w-4" />
+                        ) : (
+                          <Volume2 className="mr-2 h-4 w-4" />
+                        )}
+                        {conversation.muted ? 'Unmute' : 'Mute'}
+                      </Button>
+                    </li>
+                  )
+                })}
+              </ul>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
       <Card className="border-destructive/20">
         <CardHeader>
           <CardTitle className="text-destructive">Danger Zone</CardTitle>
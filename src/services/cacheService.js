@@ -0,0 +1,119 @@
+import { localDb } from '../lib/localDb';
+
+// How much history to keep per conversation for offline viewing
+const MESSAGE_CACHE_LIMIT = 100;
+// Played voice notes kept for offline replay, oldest evicted first
+const VOICE_NOTE_CACHE_LIMIT = 50;
+// Remembered playback positions, least recently updated evicted first
+const PLAYBACK_POSITION_LIMIT = 200;
+
+const byCreatedAt = (a, b) => a.created_at.localeCompare(b.created_at);
+
+// The cache is best effort: a failure (private mode, quota) must never break the online path
+const safely = async (label, fn, fallback) => {
+  try {
+    return await fn();
+  } catch (error) {
+    console.error(`Cache error (${label}):`, error);
+    return fallback;
+  }
+};
+
+/**
+ * IndexedDB copy of conversations, recent messages, sender profiles and played voice notes,
+ * so chats can render before (or without) the network. Also remembers voice note positions.
+ */
+export const cacheService = {
+  // kind: 'direct' for the chat lobby list, 'academy' for the classroom
+  async getConversations(kind) {
+    return safely('read conversations', () => localDb.getAllByIndex('conversations', 'kind', kind), []);
+  },
+
+  async getConversation(id) {
+    return safely('read conversation', () => localDb.get('conversations', id), null);
+  },
+
+  async saveConversations(kind, conversations) {
+    const rows = conversations.filter(Boolean).map(c => ({ ...c, kind }));
+    return safely('save conversations', () => localDb.replaceByIndex('conversations', 'kind', kind, rows));
+  },
+
+  // Cached messages oldest-first, with sender profiles re-attached
+  async getMessages(conversationId) {
+    return safely('read messages', async () => {
+      const rows = (await localDb.getAllByIndex('messages', 'conversation_id', conversationId)).sort(byCreatedAt);
+      const profiles = await localDb.getAll('profiles');
+      const profileMap = Object.fromEntries(profiles.map(p => [p.id, p]));
+
+      return rows.map(m => ({
+        ...m,
+        sender: profileMap[m.sender_id] || null,
+        reply_to: m.reply_to ? { ...m.reply_to, sender: profileMap[m.reply_to.sender_id] || null } : null
+      }));
+    }, []);
+  },
+
+  // Replace a conversation's cached messages with the latest ones in view.
+  // Profiles are stored once in their own store instead of on every message.
+  async saveMessages(conversationId, messages) {
+    const recent = messages
+      .filter(m => m.conversation_id === conversationId && !m.pending)
+      .slice(-MESSAGE_CACHE_LIMIT);
+    if (recent.length === 0) return;
+
+    const profiles = new Map();
+    const rows = recent.map(({ sender, ...m }) => {
+      if (sender?.id) profiles.set(sender.id, sender);
+      if (m.reply_to?.sender?.id) profiles.set(m.reply_to.sender.id, m.reply_to.sender);
+      if (m.reply_to) {
+        const { sender: _quotedSender, ...quote } = m.reply_to;
+        return { ...m, reply_to: quote };
+      }
+      return m;
+    });
+
+    return safely('save messages', async () => {
+      await localDb.replaceByIndex('messages', 'conversation_id', conversationId, rows);
+      if (profiles.size > 0) await localDb.putAll('profiles', [...profiles.values()]);
+    });
+  },
+
+  async getVoiceNote(path) {
+    return safely('read voice note', async () => (await localDb.get('voice_notes', path))?.blob || null, null);
+  },
+
+  async saveVoiceNote(path, blob) {
+    return safely('save voice note', async () => {
+      await localDb.put('voice_notes', { path, blob, cached_at: Date.now() });
+      const count = await localDb.count('voice_notes');
+      if (count > VOICE_NOTE_CACHE_LIMIT) {
+        await localDb.deleteFirstByIndex('voice_notes', 'cached_at', count - VOICE_NOTE_CACHE_LIMIT);
+      }
+    });
+  },
+
+  // Seconds into a voice note where playback last stopped, or 0.
+  // Every note with a saved position (even 0) has been played.
+  async getPlaybackPosition(path) {
+    return safely('read playback position', async () => (await localDb.get('playback_positions', path))?.position || 0, 0);
+  },
+
+  async savePlaybackPosition(path, position) {
+    return safely('save playback position', async () => {
+      await localDb.put('playback_positions', { path, position, updated_at: Date.now() });
+      const count = await localDb.count('playback_positions');
+      if (count > PLAYBACK_POSITION_LIMIT) {
+        await localDb.deleteFirstByIndex('playback_positions', 'updated_at', count - PLAYBACK_POSITION_LIMIT);
+      }
+    });
+  },
+
+  async isVoiceNotePlayed(path) {
+    return safely('read playback position', async () => !!(await localDb.get('playback_positions', path)), false);
+  },
+
+  // Drop everything cached for the signed-in user (on sign out)
+  async clear() {
+    return safely('clear', () => localDb.clear(['conversations', 'messages', 'profiles', 'voice_notes', 'outbox', 'playback_positions']));
+  }
+};
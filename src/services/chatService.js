@@ -1,20 +1,80 @@
 import { supabase } from '../lib/supabase';
 
+/**
+ * Unread counts keyed by conversation id: messages from other members newer than my
+ * last_read_at (everything if I never opened the chat). The get_unread_counts RPC
+ * counts every conversation in one grouped query.
+ */
+const countUnread = async (conversationIds) => {
+  if (conversationIds.length === 0) return {};
+
+  const { data, error } = await supabase
+    .rpc('get_unread_counts', { conversation_ids: conversationIds });
+
+  if (error) {
+    console.error('Error counting unread messages:', error);
+    return {};
+  }
+  return Object.fromEntries((data || []).map(row => [row.conversation_id, Number(row.unread_count)]));
+};
+
+const MESSAGE_PAGE_SIZE = 30;
+
+// Columns of a replied-to message embedded as `reply_to` (self-join on reply_to_id)
+export const REPLY_TO_SELECT = 'reply_to:messages!reply_to_id(id, sender_id, content, type, metadata, deleted_at)';
+
+// Reactions embedded as `reactions`, with the reactor's name for the hover list
+const REACTION_COLUMNS = 'id, message_id, user_id, emoji, user:profiles!user_id(id, nickname, email)';
+export const REACTIONS_SELECT = `reactions:message_reactions(${REACTION_COLUMNS})`;
+
+// Signed voice note URLs are reused until shortly before they expire
+const VOICE_NOTE_URL_TTL = 60 * 60 * 24 * 7; // seconds
+const VOICE_NOTE_URL_RENEW_BEFORE = 60 * 60 * 1000; // ms
+const voiceNoteUrls = new Map(); // path -> { url, expiresAt }
+
+// Images and documents shared in chats live in their own private bucket
+const ATTACHMENT_BUCKET = 'chat_attachments';
+export const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024; // 10 MB
+export const ATTACHMENT_TYPES = {
+  'image/jpeg': 'image',
+  'image/png': 'image',
+  'image/gif': 'image',
+  'image/webp': 'image',
+  'application/pdf': 'file',
+  'application/msword': 'file',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'file',
+  'application/vnd.ms-excel': 'file',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'file',
+  'application/vnd.ms-powerpoint': 'file',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'file',
+  'text/plain': 'file',
+  'application/zip': 'file'
+};
+
+// Storage paths of message types that own an uploaded file
+const FILE_BUCKETS = {
+  audio: 'voice_note_bucket',
+  image: ATTACHMENT_BUCKET,
+  file: ATTACHMENT_BUCKET
+};
+
 export const chatService = {
-  // Fetch all chats for the current user
-  async getChats() {
+  // Fetch all chats for the current user, or only the given conversation ids
+  async getChats(onlyIds = null) {
     const { data: { user } } = await supabase.auth.getUser();
     if (!user) throw new Error('Not authenticated');
 
     // Get all conversation IDs the user is part of
     const { data: members, error: membersError } = await supabase
       .from('chat_members')
-      .select('conversation_id, last_read_at')
+      .select('conversation_id')
       .eq('user_id', user.id);
 
     if (membersError) throw membersError;
 
-    const conversationIds = members.map(m => m.conversation_id);
+    const conversationIds = members
+      .map(m => m.conversation_id)
+      .filter(id => !onlyIds || onlyIds.includes(id));
 
     if (conversationIds.length === 0) return [];
 
@@ -27,18 +87,13 @@ export const chatService = {
         chat_members (
           user_id,
           profiles (
+            id,
             nickname,
             avatar_url,
             role,
-            email
+            email,
+            last_seen_at
           )
-        ),
-        messages (
-            content,
-            type,
-            metadata,
-            created_at,
-            status
         )
       `)
       .in('id', conversationIds)
@@ -47,62 +102,137 @@ export const chatService = {
 
     if (convError) throw convError;
 
+    const [unreadCounts, lastMessages] = await Promise.all([
+      countUnread(conversations.map(conv => conv.id)),
+      this.getLastMessages(conversations.map(conv => conv.id))
+    ]);
+
     // Format the response
-    return conversations.map(conv => {
+    return conversations.map((conv) => {
       // Find the "other" participant (assuming direct chat for now)
       const otherMember = conv.chat_members.find(m => m.user_id !== user.id);
-      const myMember = conv.chat_members.find(m => m.user_id === user.id);
-
-      // Get the last message (Supabase return order might need sorting if not using limit in subquery)
-      // Note: Supabase JS select with sub-resource order is tricky. 
-      // We'll just sort the messages array here to be safe and pick the newest.
-      const sortedMessages = conv.messages?.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
-      const lastMessage = sortedMessages?.[0];
+      const lastMessage = lastMessages[conv.id];
 
       return {
         id: conv.id,
         type: conv.type,
         otherUser: otherMember ? otherMember.profiles : null,
         lastMessage: lastMessage ? {
+          id: lastMessage.id,
           content: lastMessage.content,
           type: lastMessage.type,
           created_at: lastMessage.created_at,
-          status: lastMessage.status
+          status: lastMessage.status,
+          deleted_at: lastMessage.deleted_at
         } : null,
-        unreadCount: 0, // TODO: Calculate based on last_read_at vs last_message
+        unreadCount: unreadCounts[conv.id] || 0,
         updated_at: conv.updated_at
       };
     });
   },
 
-  async getMessages(conversationId) {
+  // Latest message per conversation, keyed by conversation id.
+  // The get_last_messages RPC reads one row per chat server-side (a LATERAL ... LIMIT 1 on the
+  // (conversation_id, created_at desc) index), so only the latest message per chat comes back.
+  async getLastMessages(conversationIds) {
+    if (!conversationIds || conversationIds.length === 0) return {};
+
     const { data, error } = await supabase
-      .from('messages')
-      .select('*')
-      .eq('conversation_id', conversationId)
-      .order('created_at', { ascending: true });
+      .rpc('get_last_messages', { conversation_ids: conversationIds });
 
     if (error) throw error;
-    return data;
+
+    const lastMessages = {};
+    (data || []).forEach(m => {
+      lastMessages[m.conversation_id] = m;
+    });
+    return lastMessages;
   },
 
-  async sendMessage(conversationId, content, type = 'text', metadata = {}) {
+  // Unread counts for every chat I'm in, keyed by conversation id and split by type:
+  // { direct: { [id]: count }, group: { [id]: count } }
+  async getUnreadCounts() {
     const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('Not authenticated');
+
+    const { data: members, error } = await supabase
+      .from('chat_members')
+      .select('conversation_id, conversations!inner(type)')
+      .eq('user_id', user.id);
+
+    if (error) throw error;
+
+    const unreadCounts = await countUnread(members.map(m => m.conversation_id));
+    const counts = { direct: {}, group: {} };
+    members.forEach(m => {
+      const byType = m.conversations.type === 'group' ? counts.group : counts.direct;
+      byType[m.conversation_id] = unreadCounts[m.conversation_id] || 0;
+    });
+    return counts;
+  },
+
+  // Fetch one page of messages, newest first from the cursor, returned oldest-first.
+  // `before` is the oldest message already loaded; omit it for the latest page.
+  async getMessages(conversationId, { before, limit = MESSAGE_PAGE_SIZE } = {}) {
+    let query = supabase
+      .from('messages')
+      .select(`*, ${REPLY_TO_SELECT}, ${REACTIONS_SELECT}`)
+      .eq('conversation_id', conversationId)
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .limit(limit + 1);
+
+    if (before) {
+      // (created_at, id) keyset so messages sharing a timestamp are not skipped
+      query = query.or(`created_at.lt."${before.created_at}",and(created_at.eq."${before.created_at}",id.lt.${before.id})`);
+    }
 
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return {
+      messages: data.slice(0, limit).reverse(),
+      hasMore: data.length > limit
+    };
+  },
+
+  // Insert a message row. Rows carrying a client_id are idempotent: if a retry hits
+  // the unique constraint, the earlier insert went through and that row is returned.
+  async insertMessage(row) {
     const { data, error } = await supabase
       .from('messages')
-      .insert({
-        conversation_id: conversationId,
-        sender_id: user.id,
-        content,
-        type,      // 'text' | 'audio'
-        metadata,  // { duration, waveform, size, etc. }
-        status: 'sent'
-      })
+      .insert(row)
       .select()
       .single();
 
+    if (error?.code === '23505' && row.client_id) {
+      const { data: existing, error: fetchError } = await supabase
+        .from('messages')
+        .select()
+        .eq('client_id', row.client_id)
+        .single();
+
+      if (fetchError) throw fetchError;
+      return existing;
+    }
+
     if (error) throw error;
+    return data;
+  },
+
+  async sendMessage(conversationId, content, type = 'text', metadata = {}, replyToId = null, clientId = null) {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    const data = await this.insertMessage({
+      conversation_id: conversationId,
+      sender_id: user.id,
+      content,
+      type,      // 'text' | 'audio' | 'image' | 'file'
+      metadata,  // { duration, waveform, size, name, width, height, etc. }
+      reply_to_id: replyToId,
+      client_id: clientId,
+      status: 'sent'
+    });
 
     // Update conversation updated_at for sorting
     await supabase.from('conversations').update({ updated_at: new Date() }).eq('id', conversationId);
@@ -137,24 +267,230 @@ export const chatService = {
     return { path: filePath };
   },
 
+  // Returns an error message if the file can't be sent as an attachment, otherwise null
+  validateAttachment(file) {
+    if (!ATTACHMENT_TYPES[file.type]) {
+      return 'Only images, PDFs, Office documents, text and zip files can be attached.';
+    }
+    if (file.size > MAX_ATTACHMENT_SIZE) {
+      return `Files must be ${MAX_ATTACHMENT_SIZE / (1024 * 1024)} MB or smaller.`;
+    }
+    return null;
+  },
+
+  // Upload an image/document to the attachments bucket.
+  // Goes through a signed upload URL with XHR so we can report progress (0-1),
+  // which the storage client's fetch-based upload can't. Abort with `signal`.
+  async uploadAttachment(conversationId, file, { onProgress, signal } = {}) {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('Not authenticated');
+
+    const fileExt = file.name.includes('.') ? file.name.split('.').pop().toLowerCase() : 'bin';
+    const filePath = `${conversationId}/${user.id}/${Date.now()}.${fileExt}`;
+
+    const { data, error } = await supabase.storage
+      .from(ATTACHMENT_BUCKET)
+      .createSignedUploadUrl(filePath);
+
+    if (error) throw error;
+    if (signal?.aborted) throw new DOMException('Upload cancelled', 'AbortError');
+
+    await new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      xhr.open('PUT', data.signedUrl);
+      xhr.setRequestHeader('x-upsert', 'false');
+
+      xhr.upload.onprogress = (e) => {
+        if (e.lengthComputable && onProgress) onProgress(e.loaded / e.total);
+      };
+      xhr.onload = () => {
+        if (xhr.status >= 200 && xhr.status < 300) resolve();
+        else reject(new Error(`Upload failed (${xhr.status})`));
+      };
+      xhr.onerror = () => reject(new Error('Upload failed'));
+      xhr.onabort = () => reject(new DOMException('Upload cancelled', 'AbortError'));
+
+      if (signal) signal.addEventListener('abort', () => xhr.abort(), { once: true });
+
+      const body = new FormData();
+      body.append('cacheControl', '3600');
+      body.append('', file);
+      xhr.send(body);
+    });
+
+    return { path: filePath };
+  },
+
+  // Signed URL for an attachment, same lifetime as voice notes.
+  // Pass a file name to get a URL that downloads instead of opening inline.
+  async getAttachmentUrl(path, downloadName = null) {
+    const { data, error } = await supabase.storage
+      .from(ATTACHMENT_BUCKET)
+      .createSignedUrl(path, 60 * 60 * 24 * 7, downloadName ? { download: downloadName } : undefined);
+
+    if (error) {
+      console.error("Error creating signed URL:", error);
+      return null;
+    }
+    return data.signedUrl;
+  },
+
   // Helper to get audio URL
   async getVoiceNoteUrl(path) {
+    const cached = voiceNoteUrls.get(path);
+    if (cached && cached.expiresAt - Date.now() > VOICE_NOTE_URL_RENEW_BEFORE) return cached.url;
+
     // If bucket is public:
     // const { data } = supabase.storage.from('voice_note_bucket').getPublicUrl(path);
     // return data.publicUrl;
 
     // If bucket is private (Recommended):
+    const requestedAt = Date.now();
     const { data, error } = await supabase.storage
       .from('voice_note_bucket')
-      .createSignedUrl(path, 60 * 60 * 24 * 7); // 7 days URL
+      .createSignedUrl(path, VOICE_NOTE_URL_TTL);
 
     if (error) {
       console.error("Error creating signed URL:", error);
       return null;
     }
+    voiceNoteUrls.set(path, { url: data.signedUrl, expiresAt: requestedAt + VOICE_NOTE_URL_TTL * 1000 });
     return data.signedUrl;
   },
 
+  // Preview of a replied-to message that isn't loaded locally (e.g. arrived via realtime)
+  async getReplyTarget(messageId) {
+    const { data, error } = await supabase
+      .from('messages')
+      .select('id, sender_id, content, type, metadata, deleted_at')
+      .eq('id', messageId)
+      .single();
+
+    if (error) {
+      console.error('Error fetching replied message:', error);
+      return null;
+    }
+    return data;
+  },
+
+  // Edit one of my own text messages
+  async editMessage(messageId, content, metadata) {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('Not authenticated');
+
+    // metadata is only replaced when given (group messages re-save their mentions)
+    const updates = { content, edited_at: new Date().toISOString() };
+    if (metadata !== undefined) updates.metadata = metadata;
+
+    const { data, error } = await supabase
+      .from('messages')
+      .update(updates)
+      .eq('id', messageId)
+      .eq('sender_id', user.id)
+      .eq('type', 'text')
+      .is('deleted_at', null)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Soft-delete one of my own messages, leaving a tombstone row.
+  // Voice notes and attachments also lose their uploaded file, once the row is gone.
+  async deleteMessage(message) {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('Not authenticated');
+
+    const { data, error } = await supabase
+      .from('messages')
+      .update({ content: '', metadata: {}, deleted_at: new Date().toISOString() })
+      .eq('id', message.id)
+      .eq('sender_id', user.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    // Best effort: a leftover file is only wasted space, the message is already deleted
+    const bucket = FILE_BUCKETS[message.type];
+    if (bucket && message.content) {
+      const { error: storageError } = await supabase.storage
+        .from(bucket)
+        .remove([message.content]);
+
+      if (storageError) console.error('Error removing message file:', storageError);
+    }
+
+    return data;
+  },
+
+  // React to a message; each user can add each emoji once per message
+  async addReaction(message, emoji) {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('Not authenticated');
+
+    const { data, error } = await supabase
+      .from('message_reactions')
+      .insert({
+        message_id: message.id,
+        conversation_id: message.conversation_id,
+        user_id: user.id,
+        emoji
+      })
+      .select(REACTION_COLUMNS)
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async removeReaction(messageId, emoji) {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('Not authenticated');
+
+    const { error } = await supabase
+      .from('message_reactions')
+      .delete()
+      .eq('message_id', messageId)
+      .eq('user_id', user.id)
+      .eq('emoji', emoji);
+
+    if (error) throw error;
+  },
+
+  // Live reactions for one conversation: onAdd(reaction), onRemove(reactionId).
+  subscribeToReactions(conversationId, onAdd, onRemove) {
+    const channel = supabase
+      .channel(`reactions:${conversationId}:${Date.now()}`)
+      .on('postgres_changes', {
+        event: 'INSERT',
+        schema: 'public',
+        table: 'message_reactions',
+        filter: `conversation_id=eq.${conversationId}`
+      }, async (payload) => {
+        const { data: reactor } = await supabase
+          .from('profiles')
+          .select('id, nickname, email')
+          .eq('id', payload.new.user_id)
+          .single();
+
+        onAdd({ ...payload.new, user: reactor });
+      })
+      // Under RLS a DELETE carries only the primary key, so it can't be filtered by
+      // conversation; the id is looked up among the loaded messages' reactions
+      .on('postgres_changes', {
+        event: 'DELETE',
+        schema: 'public',
+        table: 'message_reactions'
+      }, (payload) => {
+        if (payload.old?.id) onRemove(payload.old.id);
+      })
+      .subscribe();
+
+    return channel;
+  },
+
   async markAsRead(conversationId, messageIds) {
     if (!messageIds || messageIds.length === 0) return;
 
@@ -166,13 +502,111 @@ export const chatService = {
 
     if (error) console.error('Error updating message status:', error);
 
-    // Update member last_read_at
+    await this.markConversationRead(conversationId);
+  },
+
+  // Move my last_read_at to now, which is what unread counts go by.
+  // Group chats call this directly; their per-message reads live in message_reads.
+  async markConversationRead(conversationId) {
     const { data: { user } } = await supabase.auth.getUser();
-    await supabase
+    if (!user) return;
+
+    const { error } = await supabase
       .from('chat_members')
       .update({ last_read_at: new Date() })
       .eq('conversation_id', conversationId)
       .eq('user_id', user.id);
+
+    if (error) console.error('Error updating last read:', error);
+
+    // Let the lobby and nav badges clear this chat without a refetch
+    window.dispatchEvent(new CustomEvent('chat-read', { detail: { conversationId } }));
+  },
+
+  // Ids of every conversation I'm a member of (direct and group)
+  async getConversationIds() {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('Not authenticated');
+
+    const { data, error } = await supabase
+      .from('chat_members')
+      .select('conversation_id')
+      .eq('user_id', user.id);
+
+    if (error) throw error;
+    return data.map(m => m.conversation_id);
+  },
+
+  // My conversations (direct and group) with their mute setting and a display name, for Settings
+  async getConversationSettings() {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('Not authenticated');
+
+    const { data, error } = await supabase
+      .from('chat_members')
+      .select('conversation_id, muted, conversations!inner(type, group_name)')
+      .eq('user_id', user.id);
+
+    if (error) throw error;
+
+    // Direct chats are named after the other member; only their profile is fetched,
+    // not every member of every class
+    const directIds = data.filter(m => m.conversations.type === 'direct').map(m => m.conversation_id);
+    const { data: others, error: othersError } = directIds.length > 0
+      ? await supabase
+        .from('chat_members')
+        .select('conversation_id, profiles(nickname, email)')
+        .in('conversation_id', directIds)
+        .neq('user_id', user.id)
+      : { data: [] };
+
+    if (othersError) throw othersError;
+
+    const otherProfiles = Object.fromEntries(others.map(o => [o.conversation_id, o.profiles]));
+
+    return data.map(m => {
+      const conv = m.conversations;
+      const other = otherProfiles[m.conversation_id];
+      return {
+        id: m.conversation_id,
+        type: conv.type,
+        name: conv.type === 'group'
+          ? conv.group_name || 'Class'
+          : other?.nickname || other?.email?.split('@')[0] || 'Unknown',
+        muted: !!m.muted
+      };
+    });
+  },
+
+  // Ids of the conversations I've muted, for in-app alerts
+  async getMutedConversationIds() {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('Not authenticated');
+
+    const { data, error } = await supabase
+      .from('chat_members')
+      .select('conversation_id')
+      .eq('user_id', user.id)
+      .eq('muted', true);
+
+    if (error) throw error;
+    return data.map(m => m.conversation_id);
+  },
+
+  // Muting silences in-app sounds and message pushes for this conversation
+  async setConversationMuted(conversationId, muted) {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('Not authenticated');
+
+    const { error } = await supabase
+      .from('chat_members')
+      .update({ muted })
+      .eq('conversation_id', conversationId)
+      .eq('user_id', user.id);
+
+    if (error) throw error;
+
+    window.dispatchEvent(new CustomEvent('chat-muted', { detail: { conversationId, muted } }));
   },
 
   async createDirectChat(otherUserId) {
@@ -231,6 +665,124 @@ export const chatService = {
     return newConv.id;
   },
 
+  // Full-text search over text messages in all my direct and group chats.
+  // Results are grouped per conversation, newest match first.
+  async searchMessages(term, limit = 50) {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('Not authenticated');
+
+    const { data: members, error: membersError } = await supabase
+      .from('chat_members')
+      .select('conversation_id')
+      .eq('user_id', user.id);
+
+    if (membersError) throw membersError;
+
+    const conversationIds = members.map(m => m.conversation_id);
+    if (conversationIds.length === 0) return [];
+
+    // 'simple' config: no stemming, so Japanese/Indonesian words match as typed
+    const { data: matches, error } = await supabase
+      .from('messages')
+      .select('id, conversation_id, sender_id, content, created_at')
+      .in('conversation_id', conversationIds)
+      .eq('type', 'text')
+      .is('deleted_at', null)
+      // Thread replies aren't in the main timeline, so a hit couldn't be scrolled to
+      .is('thread_id', null)
+      .textSearch('content', term, { type: 'websearch', config: 'simple' })
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    if (matches.length === 0) return [];
+
+    const matchedIds = [...new Set(matches.map(m => m.conversation_id))];
+
+    const { data: conversations, error: convError } = await supabase
+      .from('conversations')
+      .select(`
+        id,
+        type,
+        group_name,
+        chat_members (
+          user_id,
+          profiles (
+            id,
+            nickname,
+            avatar_url,
+            email
+          )
+        )
+      `)
+      .in('id', matchedIds);
+
+    if (convError) throw convError;
+
+    // Keep conversations in order of their newest match
+    return matchedIds
+      .map(id => conversations.find(c => c.id === id))
+      .filter(Boolean)
+      .map(conv => {
+        const profileMap = {};
+        conv.chat_members.forEach(m => {
+          profileMap[m.user_id] = m.profiles;
+        });
+        const otherUser = conv.chat_members.find(m => m.user_id !== user.id)?.profiles;
+
+        return {
+          conversationId: conv.id,
+          type: conv.type,
+          title: conv.type === 'group'
+            ? conv.group_name
+            : (otherUser?.nickname || otherUser?.email || 'Unknown'),
+          results: matches
+            .filter(m => m.conversation_id === conv.id)
+            .map(m => ({ ...m, sender: profileMap[m.sender_id] || null, isOwn: m.sender_id === user.id }))
+        };
+      });
+  },
+
+  // App-wide presence: everyone signed in tracks themselves on one channel.
+  // Same pattern as classroomService.subscribeToCallPresence, keyed by user id.
+  subscribeToOnlinePresence(userId, onSync, onLeave) {
+    const channel = supabase.channel('online-users', {
+      config: {
+        presence: {
+          key: userId,
+        },
+      },
+    });
+
+    channel
+      .on('presence', { event: 'sync' }, () => {
+        onSync(channel.presenceState());
+      })
+      .on('presence', { event: 'leave' }, ({ key }) => {
+        if (onLeave) onLeave(key);
+      })
+      .subscribe(async (status) => {
+        if (status === 'SUBSCRIBED') {
+          await channel.track({ user_id: userId, online_at: new Date().toISOString() });
+        }
+      });
+
+    return channel;
+  },
+
+  // Persist last_seen_at so "last seen" survives reloads and works for users who left
+  async updateLastSeen() {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) return;
+
+    const { error } = await supabase
+      .from('profiles')
+      .update({ last_seen_at: new Date().toISOString() })
+      .eq('id', user.id);
+
+    if (error) console.error('Error updating last seen:', error);
+  },
+
   // Fetch users for the new chat modal
   async getUsers() {
     // In a real app we might paginate or search.
@@ -1,4 +1,6 @@
 import { supabase } from '../lib/supabase';
+import { chatService, REPLY_TO_SELECT, REACTIONS_SELECT } from './chatService';
+import { EVERYONE, mentionsUser } from '../lib/mentions';
 
 /**
  * Helper function to retry failed requests with exponential backoff
@@ -14,6 +16,16 @@ const fetchWithRetry = async (fn, retries = 3, delay = 1000) => {
   }
 };
 
+const GROUP_PAGE_SIZE = 30;
+// Replies per page in a thread panel
+const THREAD_PAGE_SIZE = 50;
+// Avatars shown next to "N replies"
+const THREAD_REPLIER_LIMIT = 3;
+// How far back to look for unread mentions
+const MENTION_SCAN_LIMIT = 100;
+
+const PIN_SELECT = 'id, conversation_id, message_id, pinned_by, pinned_at, message:messages!message_id(id, conversation_id, sender_id, content, type, metadata, created_at, edited_at, deleted_at)';
+
 export const classroomService = {
   /**
    * Get current user's profile with roles
@@ -131,21 +143,40 @@ export const classroomService = {
   },
 
   /**
-   * Get messages for a group conversation with sender profiles
+   * Get one page of messages for a group conversation with sender profiles.
+   * Pass the oldest loaded message as `before` to page further back.
    */
-  async getGroupMessages(conversationId) {
+  async getGroupMessages(conversationId, { before, limit = GROUP_PAGE_SIZE } = {}) {
     return fetchWithRetry(async () => {
-      // First, fetch messages
-      const { data: messages, error } = await supabase
+      // First, fetch the page newest-first so the limit keeps the latest messages
+      // Thread replies live in their thread panel, not the main timeline
+      let query = supabase
         .from('messages')
-        .select('*')
+        .select(`*, ${REPLY_TO_SELECT}, ${REACTIONS_SELECT}`)
         .eq('conversation_id', conversationId)
-        .order('created_at', { ascending: true });
+        .is('thread_id', null)
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false })
+        .limit(limit + 1);
+
+      if (before) {
+        query = query.or(`created_at.lt."${before.created_at}",and(created_at.eq."${before.created_at}",id.lt.${before.id})`);
+      }
+
+      const { data: page, error } = await query;
 
       if (error) throw error;
 
-      // Get unique sender IDs
-      const senderIds = [...new Set(messages.map(m => m.sender_id))];
+      const hasMore = page.length > limit;
+      const messages = page.slice(0, limit).reverse();
+
+      const threads = await this.getThreadSummaries(messages.map(m => m.id));
+
+      // Get unique sender IDs (including authors of quoted messages and thread repliers)
+      const senderIds = [...new Set([
+        ...messages.flatMap(m => [m.sender_id, m.reply_to?.sender_id].filter(Boolean)),
+        ...Object.values(threads).flatMap(t => t.replierIds)
+      ])];
 
       // Fetch all sender profiles in one query
       const { data: profiles } = await supabase
@@ -164,12 +195,144 @@ export const classroomService = {
       const readCounts = await this.getMessageReadCounts(messageIds);
 
       // Combine messages with sender profiles
-      return messages.map(msg => ({
+      return {
+        messages: messages.map(msg => ({
+          ...msg,
+          sender: profileMap[msg.sender_id] || null,
+          reply_to: msg.reply_to ? { ...msg.reply_to, sender: profileMap[msg.reply_to.sender_id] || null } : null,
+          readCount: readCounts[msg.id] || 0,
+          thread: threads[msg.id]
+            ? {
+              count: threads[msg.id].count,
+              unread: threads[msg.id].unread,
+              lastReplyAt: threads[msg.id].lastReplyAt,
+              repliers: threads[msg.id].replierIds.map(id => profileMap[id]).filter(Boolean)
+            }
+            : null
+        })),
+        hasMore
+      };
+    });
+  },
+
+  /**
+   * Reply counts for thread roots, keyed by root id:
+   * { count, unread (replies from others I haven't read), lastReplyAt, replierIds (latest first) }
+   * Deleted replies don't count; the panel still shows their tombstones.
+   */
+  async getThreadSummaries(rootIds) {
+    if (!rootIds || rootIds.length === 0) return {};
+
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('Not authenticated');
+
+    const { data: replies, error } = await supabase
+      .from('messages')
+      .select('id, thread_id, sender_id, created_at')
+      .in('thread_id', rootIds)
+      .is('deleted_at', null)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    if (replies.length === 0) return {};
+
+    const othersReplyIds = replies.filter(r => r.sender_id !== user.id).map(r => r.id);
+    const { data: reads } = othersReplyIds.length > 0
+      ? await supabase
+        .from('message_reads')
+        .select('message_id')
+        .eq('user_id', user.id)
+        .in('message_id', othersReplyIds)
+      : { data: [] };
+    const readIds = new Set((reads || []).map(r => r.message_id));
+
+    const summaries = {};
+    replies.forEach(reply => {
+      if (!summaries[reply.thread_id]) {
+        summaries[reply.thread_id] = { count: 0, unread: 0, lastReplyAt: reply.created_at, replierIds: [] };
+      }
+      const summary = summaries[reply.thread_id];
+      summary.count++;
+      if (reply.sender_id !== user.id && !readIds.has(reply.id)) summary.unread++;
+      if (!summary.replierIds.includes(reply.sender_id) && summary.replierIds.length < THREAD_REPLIER_LIMIT) {
+        summary.replierIds.push(reply.sender_id);
+      }
+    });
+    return summaries;
+  },
+
+  /**
+   * One page of replies in a thread, returned oldest first, with senders, reactions and
+   * read counts. Like getGroupMessages, pass the oldest loaded reply as `before` to page back.
+   */
+  async getThreadMessages(rootId, { before, limit = THREAD_PAGE_SIZE } = {}) {
+    let query = supabase
+      .from('messages')
+      .select(`*, ${REACTIONS_SELECT}`)
+      .eq('thread_id', rootId)
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .limit(limit + 1);
+
+    if (before) {
+      query = query.or(`created_at.lt."${before.created_at}",and(created_at.eq."${before.created_at}",id.lt.${before.id})`);
+    }
+
+    const { data: page, error } = await query;
+
+    if (error) throw error;
+
+    const hasMore = page.length > limit;
+    const data = page.slice(0, limit).reverse();
+
+    const senderIds = [...new Set(data.map(m => m.sender_id))];
+    const { data: profiles } = senderIds.length > 0
+      ? await supabase.from('profiles').select('id, nickname, avatar_url, email, role').in('id', senderIds)
+      : { data: [] };
+    const profileMap = Object.fromEntries((profiles || []).map(p => [p.id, p]));
+    const readCounts = await this.getMessageReadCounts(data.map(m => m.id));
+
+    return {
+      messages: data.map(msg => ({
         ...msg,
         sender: profileMap[msg.sender_id] || null,
         readCount: readCounts[msg.id] || 0
-      }));
-    });
+      })),
+      hasMore
+    };
+  },
+
+  /**
+   * Subscribe to new and updated replies in one thread
+   */
+  subscribeToThread(rootId, onNewReply, onReplyUpdate) {
+    const channel = supabase
+      .channel(`thread:${rootId}:${Date.now()}`)
+      .on('postgres_changes', {
+        event: 'INSERT',
+        schema: 'public',
+        table: 'messages',
+        filter: `thread_id=eq.${rootId}`
+      }, async (payload) => {
+        const { data: sender } = await supabase
+          .from('profiles')
+          .select('id, nickname, avatar_url, email, role')
+          .eq('id', payload.new.sender_id)
+          .single();
+
+        onNewReply({ ...payload.new, sender, reactions: [], readCount: 0 });
+      })
+      .on('postgres_changes', {
+        event: 'UPDATE',
+        schema: 'public',
+        table: 'messages',
+        filter: `thread_id=eq.${rootId}`
+      }, (payload) => {
+        onReplyUpdate(payload.new);
+      })
+      .subscribe();
+
+    return channel;
   },
 
   /**
@@ -214,6 +377,27 @@ export const classroomService = {
     return count || 0;
   },
 
+  /**
+   * Who has read a message, latest first: [{ user_id, read_at, profile }]
+   */
+  async getMessageReaders(messageId) {
+    const { data: reads, error } = await supabase
+      .from('message_reads')
+      .select('user_id, read_at')
+      .eq('message_id', messageId)
+      .order('read_at', { ascending: false });
+
+    if (error) throw error;
+
+    const userIds = reads.map(r => r.user_id);
+    const { data: profiles } = userIds.length > 0
+      ? await supabase.from('profiles').select('id, nickname, avatar_url, email, role').in('id', userIds)
+      : { data: [] };
+    const profileMap = Object.fromEntries((profiles || []).map(p => [p.id, p]));
+
+    return reads.map(read => ({ ...read, profile: profileMap[read.user_id] || null }));
+  },
+
   /**
    * Mark a message as read by current user
    */
@@ -268,25 +452,22 @@ export const classroomService = {
   /**
    * Send a message to a group conversation
    */
-  async sendGroupMessage(conversationId, content, type = 'text', metadata = {}) {
+  async sendGroupMessage(conversationId, content, type = 'text', metadata = {}, replyToId = null, clientId = null, threadId = null) {
     const { data: { user } } = await supabase.auth.getUser();
     if (!user) throw new Error('Not authenticated');
 
     // Insert the message
-    const { data: message, error } = await supabase
-      .from('messages')
-      .insert({
-        conversation_id: conversationId,
-        sender_id: user.id,
-        content,
-        type,
-        metadata,
-        status: 'sent'
-      })
-      .select('*')
-      .single();
-
-    if (error) throw error;
+    const message = await chatService.insertMessage({
+      conversation_id: conversationId,
+      sender_id: user.id,
+      content,
+      type,
+      metadata,
+      reply_to_id: replyToId,
+      client_id: clientId,
+      thread_id: threadId,
+      status: 'sent'
+    });
 
     // Fetch sender profile separately
     const { data: sender } = await supabase
@@ -340,9 +521,10 @@ export const classroomService = {
   },
 
   /**
-   * Subscribe to realtime messages for a conversation
+   * Subscribe to realtime messages for a conversation.
+   * onTyping receives the 'typing' broadcasts sent on the same channel.
    */
-  subscribeToMessages(conversationId, onNewMessage, onMessageUpdate) {
+  subscribeToMessages(conversationId, onNewMessage, onMessageUpdate, onTyping) {
     const channel = supabase
       .channel(`classroom:${conversationId}`)
       .on('postgres_changes', {
@@ -358,7 +540,26 @@ export const classroomService = {
           .eq('id', payload.new.sender_id)
           .single();
 
-        onNewMessage({ ...payload.new, sender, readCount: 0 });
+        // Realtime payloads carry no joins, so fetch the quoted message too
+        let replyTo = null;
+        if (payload.new.reply_to_id) {
+          const { data: parent } = await supabase
+            .from('messages')
+            .select('id, sender_id, content, type, metadata, deleted_at')
+            .eq('id', payload.new.reply_to_id)
+            .single();
+
+          if (parent) {
+            const { data: parentSender } = await supabase
+              .from('profiles')
+              .select('id, nickname, avatar_url, email, role')
+              .eq('id', parent.sender_id)
+              .single();
+            replyTo = { ...parent, sender: parentSender };
+          }
+        }
+
+        onNewMessage({ ...payload.new, sender, reply_to: replyTo, reactions: [], readCount: 0 });
       })
       .on('postgres_changes', {
         event: 'UPDATE',
@@ -368,17 +569,21 @@ export const classroomService = {
       }, (payload) => {
         onMessageUpdate(payload.new);
       })
+      .on('broadcast', { event: 'typing' }, ({ payload }) => {
+        if (onTyping) onTyping(payload);
+      })
       .subscribe();
 
     return channel;
   },
 
   /**
-   * Subscribe to read count updates for messages
+   * Subscribe to read count updates for messages.
+   * onReadUpdate(messageId, count, read) also gets the new message_reads row.
    */
   subscribeToReadCounts(conversationId, onReadUpdate) {
     const channel = supabase
-      .channel(`reads:${conversationId}`)
+      .channel(`reads:${conversationId}:${Date.now()}`)
       .on('postgres_changes', {
         event: 'INSERT',
         schema: 'public',
@@ -394,7 +599,7 @@ export const classroomService = {
 
         if (message) {
           const count = await this.getMessageReadCount(payload.new.message_id);
-          onReadUpdate(payload.new.message_id, count);
+          onReadUpdate(payload.new.message_id, count, payload.new);
         }
       })
       .subscribe();
@@ -402,6 +607,135 @@ export const classroomService = {
     return channel;
   },
 
+  /**
+   * Count recent messages mentioning me (or @everyone) that I haven't read yet
+   */
+  async getUnreadMentionCount(conversationId) {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) return 0;
+
+    const mentioning = (id) => supabase
+      .from('messages')
+      .select('id')
+      .eq('conversation_id', conversationId)
+      .neq('sender_id', user.id)
+      .is('deleted_at', null)
+      .filter('metadata->mentions', 'cs', JSON.stringify([{ id }]))
+      .order('created_at', { ascending: false })
+      .limit(MENTION_SCAN_LIMIT);
+
+    const results = await Promise.all([mentioning(user.id), mentioning(EVERYONE.id)]);
+    const failed = results.find(r => r.error);
+    if (failed) throw failed.error;
+
+    const ids = [...new Set(results.flatMap(r => r.data.map(m => m.id)))];
+    if (ids.length === 0) return 0;
+
+    const { data: reads, error } = await supabase
+      .from('message_reads')
+      .select('message_id')
+      .eq('user_id', user.id)
+      .in('message_id', ids);
+
+    if (error) throw error;
+    return ids.length - reads.length;
+  },
+
+  /**
+   * Subscribe to new messages that mention the given user (or @everyone)
+   */
+  subscribeToMentions(conversationId, userId, onMention) {
+    const channel = supabase
+      .channel(`mentions:${conversationId}:${Date.now()}`)
+      .on('postgres_changes', {
+        event: 'INSERT',
+        schema: 'public',
+        table: 'messages',
+        filter: `conversation_id=eq.${conversationId}`
+      }, (payload) => {
+        const message = payload.new;
+        if (message.sender_id !== userId && mentionsUser(message.metadata?.mentions, userId)) {
+          onMention(message);
+        }
+      })
+      .subscribe();
+
+    return channel;
+  },
+
+  /**
+   * Pinned messages of a class, newest pin first, each with its message and sender
+   */
+  async getPinnedMessages(conversationId) {
+    const { data: pins, error } = await supabase
+      .from('pinned_messages')
+      .select(PIN_SELECT)
+      .eq('conversation_id', conversationId)
+      .order('pinned_at', { ascending: false });
+
+    if (error) throw error;
+
+    const senderIds = [...new Set(pins.map(p => p.message?.sender_id).filter(Boolean))];
+    const { data: profiles } = senderIds.length > 0
+      ? await supabase.from('profiles').select('id, nickname, avatar_url, email').in('id', senderIds)
+      : { data: [] };
+    const profileMap = Object.fromEntries((profiles || []).map(p => [p.id, p]));
+
+    return pins
+      .filter(p => p.message)
+      .map(p => ({ ...p, message: { ...p.message, sender: profileMap[p.message.sender_id] || null } }));
+  },
+
+  /**
+   * Pin a message (teachers and admins; enforced by RLS)
+   */
+  async pinMessage(conversationId, messageId) {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('Not authenticated');
+
+    const { error } = await supabase
+      .from('pinned_messages')
+      .insert({ conversation_id: conversationId, message_id: messageId, pinned_by: user.id });
+
+    // Already pinned (e.g. by another teacher at the same time)
+    if (error && error.code !== '23505') throw error;
+  },
+
+  async unpinMessage(messageId) {
+    const { error } = await supabase
+      .from('pinned_messages')
+      .delete()
+      .eq('message_id', messageId);
+
+    if (error) throw error;
+  },
+
+  /**
+   * Subscribe to pins in a class: onChange() when one is added, onRemove(pinId) when one goes
+   */
+  subscribeToPins(conversationId, onChange, onRemove) {
+    const channel = supabase
+      .channel(`pins:${conversationId}:${Date.now()}`)
+      .on('postgres_changes', {
+        event: 'INSERT',
+        schema: 'public',
+        table: 'pinned_messages',
+        filter: `conversation_id=eq.${conversationId}`
+      }, () => onChange())
+      .on('postgres_changes', {
+        event: 'DELETE',
+        schema: 'public',
+        table: 'pinned_messages'
+      }, (payload) => {
+        // Under RLS a DELETE carries only the primary key, so it can't be filtered by
+        // class; the pin id is looked up among the loaded pins
+        if (payload.old?.id) onRemove(payload.old.id);
+      })
+      .subscribe();
+
+    return channel;
+  },
+
   /**
    * Unsubscribe from a channel
    */
@@ -0,0 +1,132 @@
+import { localDb } from '../lib/localDb';
+import { chatService } from './chatService';
+import { classroomService } from './classroomService';
+
+const STORE = 'outbox';
+
+// Open chats follow their queued messages through this event:
+// detail = { conversationId, clientId, status: 'sending' | 'sent' | 'failed', message? }
+const emitStatus = (detail) => {
+  window.dispatchEvent(new CustomEvent('outbox-status', { detail }));
+};
+
+const byCreatedAt = (a, b) => a.created_at.localeCompare(b.created_at);
+
+// Recordings are webm, except Safari's mp4 and trimmed takes (WAV, see audioTrim)
+const voiceNoteExtension = (type) => {
+  if (type.startsWith('audio/wav')) return 'wav';
+  if (type.startsWith('audio/mp4')) return 'm4a';
+  return 'webm';
+};
+
+// All sends run one at a time, so a flush and a manual retry never send the same entry twice
+let queue = Promise.resolve();
+const schedule = (task) => {
+  queue = queue.then(task).catch(error => console.error('Outbox error:', error));
+  return queue;
+};
+
+// Upload (voice notes) and insert one entry. The uploaded path is saved back to the
+// outbox first, so a retry after a failed insert doesn't upload the file again.
+const sendEntry = async (entry) => {
+  const service = entry.chat_type === 'group' ? classroomService : chatService;
+
+  if (entry.blob) {
+    const file = new File([entry.blob], `voice-note.${voiceNoteExtension(entry.blob.type)}`, { type: entry.blob.type });
+    const { path } = await service.uploadVoiceNote(entry.conversation_id, file);
+    entry = { ...entry, content: path, blob: null };
+    await localDb.put(STORE, entry);
+  }
+
+  const send = entry.chat_type === 'group'
+    ? classroomService.sendGroupMessage.bind(classroomService)
+    : chatService.sendMessage.bind(chatService);
+
+  return send(entry.conversation_id, entry.content, entry.type, entry.metadata, entry.reply_to_id, entry.client_id, entry.thread_id);
+};
+
+// Send a conversation's queued messages oldest first. The first failure stops the run
+// and marks everything after it failed too, so messages never arrive out of order.
+const processConversation = async (conversationId) => {
+  const entries = (await localDb.getAllByIndex(STORE, 'conversation_id', conversationId)).sort(byCreatedAt);
+
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    emitStatus({ conversationId, clientId: entry.client_id, status: 'sending' });
+
+    try {
+      const message = await sendEntry(entry);
+      await localDb.delete(STORE, entry.client_id);
+      emitStatus({ conversationId, clientId: entry.client_id, status: 'sent', message });
+    } catch (error) {
+      console.error('Failed to send queued message:', error);
+      for (const failed of entries.slice(i)) {
+        // Re-read so a voice note's uploaded path isn't lost
+        const latest = (await localDb.get(STORE, failed.client_id)) || failed;
+        await localDb.put(STORE, { ...latest, status: 'failed' });
+        emitStatus({ conversationId, clientId: failed.client_id, status: 'failed' });
+      }
+      return;
+    }
+  }
+};
+
+export const outboxService = {
+  // Store a new message and try to send it right away
+  async enqueue(entry) {
+    try {
+      await localDb.put(STORE, { ...entry, status: 'sending' });
+    } catch (error) {
+      console.error('Error saving message to outbox:', error);
+      emitStatus({ conversationId: entry.conversation_id, clientId: entry.client_id, status: 'failed' });
+      return;
+    }
+    return schedule(() => processConversation(entry.conversation_id));
+  },
+
+  // Retry a conversation's unsent messages (tap on a failed bubble)
+  retry(conversationId) {
+    return schedule(() => processConversation(conversationId));
+  },
+
+  // Send everything left in the outbox, e.g. after reconnecting or on startup
+  async flush() {
+    const entries = (await localDb.getAll(STORE)).sort(byCreatedAt);
+    const conversationIds = [...new Set(entries.map(e => e.conversation_id))];
+    return Promise.all(conversationIds.map(id => schedule(() => processConversation(id))));
+  },
+
+  async list(conversationId) {
+    try {
+      const entries = await localDb.getAllByIndex(STORE, 'conversation_id', conversationId);
+      return entries.sort(byCreatedAt);
+    } catch (error) {
+      console.error('Error reading outbox:', error);
+      return [];
+    }
+  },
+
+  discard(clientId) {
+    return localDb.delete(STORE, clientId);
+  },
+
+  // Shape an outbox entry like a message row for the message list
+  toMessage(entry) {
+    return {
+      id: entry.client_id,
+      client_id: entry.client_id,
+      conversation_id: entry.conversation_id,
+      sender_id: entry.sender_id,
+      content: entry.content,
+      type: entry.type,
+      metadata: entry.metadata,
+      reply_to_id: entry.reply_to_id,
+      reply_to: entry.reply_to,
+      thread_id: entry.thread_id || null,
+      reactions: [],
+      created_at: entry.created_at,
+      status: entry.status,
+      pending: true
+    };
+  }
+};
@@ -0,0 +1,77 @@
+import { supabase } from '../lib/supabase';
+
+const VAPID_PUBLIC_KEY = import.meta.env.VITE_VAPID_PUBLIC_KEY;
+
+const urlBase64ToUint8Array = (value) => {
+  const base64 = (value + '='.repeat((4 - value.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+};
+
+// Pushes arrive through the service worker, which is only registered in production builds
+const getRegistration = async () => {
+  const registration = await navigator.serviceWorker.getRegistration();
+  if (!registration) throw new Error('Notifications are not available in this build');
+  return registration;
+};
+
+/**
+ * This device's web push subscription, stored in push_subscriptions for the send-push function.
+ */
+export const pushService = {
+  isSupported() {
+    return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window && !!VAPID_PUBLIC_KEY;
+  },
+
+  permission() {
+    return 'Notification' in window ? Notification.permission : 'denied';
+  },
+
+  async getSubscription() {
+    if (!this.isSupported()) return null;
+    const registration = await navigator.serviceWorker.getRegistration();
+    return registration ? registration.pushManager.getSubscription() : null;
+  },
+
+  async subscribe(userId) {
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') throw new Error('Notification permission was not granted');
+
+    const registration = await getRegistration();
+    const subscription = (await registration.pushManager.getSubscription())
+      || await registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: urlBase64ToUint8Array(VAPID_PUBLIC_KEY)
+      });
+
+    const { endpoint, keys } = subscription.toJSON();
+    const { error } = await supabase
+      .from('push_subscriptions')
+      .upsert({
+        user_id: userId,
+        endpoint,
+        p256dh: keys.p256dh,
+        auth: keys.auth,
+        user_agent: navigator.userAgent
+      }, { onConflict: 'endpoint' });
+
+    if (error) {
+      await subscription.unsubscribe();
+      throw error;
+    }
+    return subscription;
+  },
+
+  // Stop pushes to this device (also on sign out, so the next user doesn't get them)
+  async unsubscribe() {
+    const subscription = await this.getSubscription();
+    if (!subscription) return;
+
+    const { error } = await supabase
+      .from('push_subscriptions')
+      .delete()
+      .eq('endpoint', subscription.endpoint);
+    if (error) console.error('Error removing push subscription:', error);
+
+    await subscription.unsubscribe();
+  }
+};
@@ -0,0 +1,72 @@
+import { chatService } from './chatService';
+import { cacheService } from './cacheService';
+import { decodeAudio } from '../lib/audioTrim';
+
+// Decoded audio is large (a minute of stereo is ~23 MB), so only the most recently
+// used voice notes stay decoded; the rest are decoded again when played
+const DECODED_BUFFER_LIMIT = 8;
+
+// path -> { buffer, blob }, least recently used first. `blob` is the downloaded file
+// until it has been saved to the offline cache.
+const decoded = new Map();
+// path -> Promise of the entry, so players showing the same note load it once
+const inFlight = new Map();
+
+const remember = (path, entry) => {
+  decoded.delete(path);
+  decoded.set(path, entry);
+  while (decoded.size > DECODED_BUFFER_LIMIT) {
+    decoded.delete(decoded.keys().next().value);
+  }
+  return entry;
+};
+
+// The offline copy if there is one, otherwise download through a signed URL
+const fetchVoiceNote = async (path) => {
+  const cached = await cacheService.getVoiceNote(path);
+  if (cached) return { blob: cached, fromCache: true };
+
+  let url = path;
+  if (!path.startsWith('http')) {
+    url = await chatService.getVoiceNoteUrl(path);
+    if (!url) throw new Error('Failed to get audio URL');
+  }
+
+  const response = await fetch(url);
+  if (!response.ok) throw new Error('Network response was not ok');
+  return { blob: await response.blob(), fromCache: false };
+};
+
+/**
+ * Loading and decoding of stored voice notes, shared by every AudioPlayer.
+ */
+export const voiceNoteService = {
+  // Decoded AudioBuffer of a stored voice note
+  async load(path) {
+    if (decoded.has(path)) return remember(path, decoded.get(path)).buffer;
+
+    if (!inFlight.has(path)) {
+      const loading = (async () => {
+        const { blob, fromCache } = await fetchVoiceNote(path);
+        const buffer = await decodeAudio(blob);
+        return remember(path, { buffer, blob: fromCache ? null : blob });
+      })().finally(() => inFlight.delete(path));
+      inFlight.set(path, loading);
+    }
+    return (await inFlight.get(path)).buffer;
+  },
+
+  // Decode a local recording (not cached)
+  decode(blob) {
+    return decodeAudio(blob);
+  },
+
+  // Voice notes that have been played are kept for offline replay
+  keepOffline(path) {
+    const entry = decoded.get(path);
+    if (!entry?.blob) return;
+
+    cacheService.saveVoiceNote(path, entry.blob);
+    entry.blob = null;
+  }
+};
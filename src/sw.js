@@ -0,0 +1,125 @@
+// Service worker. Not bundled: the build (see serviceWorker() in vite.config.js) emits it
+// as /sw.js with self.__PRECACHE_MANIFEST and self.__BUILD_VERSION prepended.
+
+const CACHE_PREFIX = 'siichisei-';
+const CACHE_NAME = `${CACHE_PREFIX}${self.__BUILD_VERSION}`;
+const PRECACHE_URLS = self.__PRECACHE_MANIFEST;
+
+const APP_SHELL = '/index.html';
+const OFFLINE_PAGE = '/offline.html';
+
+// These routes still work offline from the cached app shell, since their data is cached in IndexedDB
+const APP_SHELL_ROUTES = ['/chat', '/classroom'];
+
+const isAppShellRoute = (pathname) =>
+  APP_SHELL_ROUTES.some(route => pathname === route || pathname.startsWith(`${route}/`));
+
+// Install precaches the new build, then waits: the page asks it to take over
+// (SKIP_WAITING) once the user accepts the "new version" prompt.
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_URLS)));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys
+      .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+      .map(key => caches.delete(key)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// Network first, so a deploy is picked up as soon as it's online
+const handleNavigation = async (request, url) => {
+  try {
+    return await fetch(request);
+  } catch {
+    const cache = await caches.open(CACHE_NAME);
+    if (isAppShellRoute(url.pathname)) {
+      const shell = await cache.match(APP_SHELL);
+      if (shell) return shell;
+    }
+    return (await cache.match(OFFLINE_PAGE)) || Response.error();
+  }
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  // Supabase and other cross-origin requests go straight to the network
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request, url));
+    return;
+  }
+
+  // Precached files belong to this build's cache, which is replaced on every deploy
+  if (PRECACHE_URLS.includes(url.pathname)) {
+    event.respondWith((async () => {
+      const cache = await caches.open(CACHE_NAME);
+      return (await cache.match(url.pathname)) || fetch(request);
+    })());
+  }
+});
+
+// A push that isn't our JSON (e.g. a test push from DevTools) still shows, with its text as the body
+const readPushPayload = (data) => {
+  if (!data) return {};
+  try {
+    return data.json() ?? {};
+  } catch {
+    return { body: data.text() };
+  }
+};
+
+// Push notifications (see supabase/functions/send-push).
+// payload = { title, body, url, tag, conversationId, kind? }
+self.addEventListener('push', (event) => {
+  const payload = readPushPayload(event.data);
+
+  event.waitUntil((async () => {
+    // Skip it if the user is already looking at that conversation
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const viewing = windows.some(client =>
+      client.focused && client.visibilityState === 'visible' && new URL(client.url).pathname === payload.url);
+    if (viewing) return;
+
+    await self.registration.showNotification(payload.title || 'Siichisei', {
+      body: payload.body,
+      tag: payload.tag,
+      renotify: !!payload.tag,
+      icon: '/icons/icon-192.png',
+      badge: '/icons/icon-192.png',
+      data: { url: payload.url || '/' }
+    });
+  })());
+});
+
+// Open the conversation: reuse an open window (the app navigates in place), else open one.
+// Prefer a window already on that conversation, then the focused one, then any.
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = event.notification.data?.url || '/';
+
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const client = windows.find(c => new URL(c.url).pathname === url)
+      || windows.find(c => c.focused)
+      || windows[0];
+
+    if (client) {
+      await client.focus();
+      client.postMessage({ type: 'NOTIFICATION_CLICK', url });
+    } else {
+      await self.clients.openWindow(url);
+    }
+  })());
+});
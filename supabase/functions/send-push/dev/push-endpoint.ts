@@ -0,0 +1,92 @@
+// Local stand-in for a browser push service, for trying send-push without a real browser.
+//
+//   deno run --allow-net --allow-env supabase/functions/send-push/dev/push-endpoint.ts
+//
+// It prints a subscription row to insert into push_subscriptions for a test user. Pushes sent
+// to it are checked (VAPID signature) and decrypted with the matching private key, then logged.
+// Point a subscription at /gone/... instead to get 410 back and see send-push delete it.
+//
+// PUSH_ENDPOINT_HOST (default host.docker.internal) is the host the edge function runtime
+// uses to reach this machine; PORT defaults to 8787.
+
+import { base64UrlDecode, base64UrlEncode, deriveContentKeys } from '../webPush.ts'
+
+const PORT = Number(Deno.env.get('PORT') || 8787)
+const HOST = Deno.env.get('PUSH_ENDPOINT_HOST') || 'host.docker.internal'
+
+// Acts as the "browser" side of the subscription
+const keys = await crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, true, ['deriveBits'])
+const publicKey = new Uint8Array(await crypto.subtle.exportKey('raw', keys.publicKey))
+const authSecret = crypto.getRandomValues(new Uint8Array(16))
+
+const subscriptionRow = (path: string) => ({
+  endpoint: `http://${HOST}:${PORT}${path}/${crypto.randomUUID()}`,
+  p256dh: base64UrlEncode(publicKey),
+  auth: base64UrlEncode(authSecret),
+})
+
+async function verifyVapid(authorization: string | null): Promise<string> {
+  const match = authorization?.match(/^vapid t=([^,]+),\s*k=(.+)$/)
+  if (!match) return 'missing or malformed Authorization header'
+
+  const [header, claims, signature] = match[1].split('.')
+  const key = await crypto.subtle.importKey(
+    'raw', base64UrlDecode(match[2]), { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify'],
+  )
+  const valid = await crypto.subtle.verify(
+    { name: 'ECDSA', hash: 'SHA-256' }, key, base64UrlDecode(signature), new TextEncoder().encode(`${header}.${claims}`),
+  )
+  const { aud, exp, sub } = JSON.parse(new TextDecoder().decode(base64UrlDecode(claims)))
+  return `${valid ? 'valid' : 'INVALID'} signature (aud=${aud}, sub=${sub}, expires ${new Date(exp * 1000).toISOString()})`
+}
+
+async function decrypt(body: Uint8Array): Promise<string> {
+  const salt = body.slice(0, 16)
+  const idLength = body[20]
+  const serverPublicKey = body.slice(21, 21 + idLength)
+  const ciphertext = body.slice(21 + idLength)
+
+  const serverKey = await crypto.subtle.importKey(
+    'raw', serverPublicKey, { name: 'ECDH', namedCurve: 'P-256' }, false, [],
+  )
+  const sharedSecret = new Uint8Array(
+    await crypto.subtle.deriveBits({ name: 'ECDH', public: serverKey }, keys.privateKey, 256),
+  )
+  const { contentKey, nonce } = await deriveContentKeys(sharedSecret, authSecret, publicKey, serverPublicKey, salt)
+
+  const key = await crypto.subtle.importKey('raw', contentKey, 'AES-GCM', false, ['decrypt'])
+  const padded = new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv: nonce }, key, ciphertext))
+
+  // Strip the padding: trailing zeros, then the 0x02 record delimiter
+  let end = padded.length - 1
+  while (end > 0 && padded[end] === 0) end--
+  return new TextDecoder().decode(padded.slice(0, end))
+}
+
+console.log('Insert one of these into push_subscriptions (with a user_id):')
+console.log('  delivers:', JSON.stringify(subscriptionRow('/push')))
+console.log('  gone:    ', JSON.stringify(subscriptionRow('/gone')))
+
+Deno.serve({ port: PORT }, async (req) => {
+  const { pathname } = new URL(req.url)
+  if (req.method !== 'POST') return new Response('Not found', { status: 404 })
+
+  console.log(`\n${new Date().toISOString()} POST ${pathname}`)
+  console.log('  TTL:', req.headers.get('ttl'), '| Urgency:', req.headers.get('urgency'),
+    '| Content-Encoding:', req.headers.get('content-encoding'))
+  console.log('  VAPID:', await verifyVapid(req.headers.get('authorization')))
+
+  if (pathname.startsWith('/gone/')) {
+    console.log('  -> 410 Gone')
+    return new Response(null, { status: 410 })
+  }
+
+  try {
+    const payload = await decrypt(new Uint8Array(await req.arrayBuffer()))
+    console.log('  Payload:', payload)
+    return new Response(null, { status: 201 })
+  } catch (error) {
+    console.error('  Could not decrypt payload:', error)
+    return new Response('Bad payload', { status: 400 })
+  }
+})
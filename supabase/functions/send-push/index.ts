@@ -0,0 +1,157 @@
+// Sends web push notifications. Called by database webhooks, not by the app:
+//   - messages INSERT              -> "new message" to the other members of the conversation
+//   - conversations UPDATE         -> "class call started" when is_call_active flips to true
+//
+// Env: VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_SUBJECT (e.g. mailto:admin@siichisei.com),
+// PUSH_WEBHOOK_SECRET (sent by the webhooks as x-webhook-secret), plus the built-in
+// SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY.
+
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
+import { createClient } from "npm:@supabase/supabase-js@2"
+import { sendWebPush, type VapidKeys } from "./webPush.ts"
+
+const MAX_BODY_LENGTH = 120
+
+const jsonResponse = (body: unknown, status = 200) =>
+  new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json" } })
+
+const truncate = (text: string) =>
+  text.length > MAX_BODY_LENGTH ? `${text.slice(0, MAX_BODY_LENGTH - 1)}…` : text
+
+// Same wording as the chat list previews
+const messagePreview = (message: { type: string; content: string | null }) => {
+  if (message.type === 'audio') return '🎤 Voice Message'
+  if (message.type === 'image') return '📷 Photo'
+  if (message.type === 'file') return '📎 File'
+  return truncate(message.content || '')
+}
+
+const displayName = (profile: { nickname?: string; email?: string } | null) =>
+  profile?.nickname || profile?.email?.split('@')[0] || 'Someone'
+
+const conversationUrl = (conversation: { id: string; type: string }) =>
+  conversation.type === 'group' ? `/classroom/${conversation.id}` : `/chat/${conversation.id}`
+
+serve(async (req) => {
+  const secret = Deno.env.get('PUSH_WEBHOOK_SECRET')
+  if (!secret || req.headers.get('x-webhook-secret') !== secret) {
+    return jsonResponse({ error: 'Unauthorized' }, 401)
+  }
+
+  try {
+    const vapid: VapidKeys = {
+      publicKey: Deno.env.get('VAPID_PUBLIC_KEY') ?? '',
+      privateKey: Deno.env.get('VAPID_PRIVATE_KEY') ?? '',
+      subject: Deno.env.get('VAPID_SUBJECT') ?? '',
+    }
+    if (!vapid.publicKey || !vapid.privateKey || !vapid.subject) {
+      throw new Error('VAPID keys not configured on server')
+    }
+
+    const supabase = createClient(
+      Deno.env.get('SUPABASE_URL') ?? '',
+      Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? '',
+    )
+
+    const { type, table, record, old_record } = await req.json()
+
+    let conversationId: string
+    let excludeUserId: string | null = null
+    let buildNotification: (conversation: any) => Promise<Record<string, unknown>>
+
+    if (table === 'messages' && type === 'INSERT') {
+      conversationId = record.conversation_id
+      excludeUserId = record.sender_id
+
+      buildNotification = async (conversation) => {
+        const { data: sender } = await supabase
+          .from('profiles')
+          .select('nickname, email')
+          .eq('id', record.sender_id)
+          .single()
+
+        const preview = messagePreview(record)
+        return conversation.type === 'group'
+          ? { title: conversation.group_name || 'Class', body: `${displayName(sender)}: ${preview}` }
+          : { title: displayName(sender), body: preview }
+      }
+    } else if (table === 'conversations' && type === 'UPDATE'
+      && record.is_call_active && !old_record?.is_call_active) {
+      conversationId = record.id
+
+      buildNotification = async (conversation) => ({
+        title: conversation.group_name || 'Class',
+        body: '📞 Class call started. Tap to join.',
+        kind: 'call',
+      })
+    } else {
+      return jsonResponse({ sent: 0, skipped: 'not a notifiable change' })
+    }
+
+    const { data: conversation, error: conversationError } = await supabase
+      .from('conversations')
+      .select('id, type, group_name')
+      .eq('id', conversationId)
+      .single()
+    if (conversationError) throw conversationError
+
+    let membersQuery = supabase
+      .from('chat_members')
+      .select('user_id')
+      .eq('conversation_id', conversationId)
+    // Muting a conversation silences its messages; a class call still comes through
+    if (table === 'messages') membersQuery = membersQuery.eq('muted', false)
+
+    const { data: members, error: membersError } = await membersQuery
+    if (membersError) throw membersError
+
+    const recipientIds = (members || []).map(m => m.user_id).filter(id => id !== excludeUserId)
+    if (recipientIds.length === 0) return jsonResponse({ sent: 0 })
+
+    const { data: subscriptions, error: subscriptionsError } = await supabase
+      .from('push_subscriptions')
+      .select('id, endpoint, p256dh, auth')
+      .in('user_id', recipientIds)
+    if (subscriptionsError) throw subscriptionsError
+    if (!subscriptions?.length) return jsonResponse({ sent: 0 })
+
+    const notification = await buildNotification(conversation)
+    const payload = {
+      ...notification,
+      url: conversationUrl(conversation),
+      conversationId,
+      // One notification per conversation; a newer message replaces the older one
+      tag: `${notification.kind === 'call' ? 'call' : 'conversation'}-${conversationId}`,
+    }
+
+    const results = await Promise.allSettled(
+      subscriptions.map(subscription => sendWebPush(subscription, payload, vapid)),
+    )
+
+    // Expired or revoked subscriptions (404/410) are removed so we stop sending to them
+    const goneIds = subscriptions
+      .filter((_, i) => {
+        const result = results[i]
+        return result.status === 'fulfilled' && result.value.gone
+      })
+      .map(s => s.id)
+    if (goneIds.length > 0) {
+      await supabase.from('push_subscriptions').delete().in('id', goneIds)
+    }
+
+    results.forEach((result, i) => {
+      if (result.status === 'rejected') {
+        console.error(`Push to ${subscriptions[i].endpoint} failed:`, result.reason)
+      } else if (!result.value.ok && !result.value.gone) {
+        console.error(`Push to ${subscriptions[i].endpoint} rejected with ${result.value.status}`)
+      }
+    })
+
+    const sent = results.filter(r => r.status === 'fulfilled' && r.value.ok).length
+    return jsonResponse({ sent, removed: goneIds.length })
+
+  } catch (error) {
+    console.error("Send Push Error:", error)
+    return jsonResponse({ error: error.message || 'Internal Server Error' }, 500)
+  }
+})
@@ -0,0 +1,162 @@
+// Web Push sending with nothing but WebCrypto and fetch:
+// payload encryption per RFC 8291 (aes128gcm) and VAPID auth per RFC 8292.
+// The push service is whatever URL the subscription names, so a local stand-in
+// endpoint (see dev/push-endpoint.ts) receives exactly what FCM/Mozilla would.
+
+export interface PushSubscription {
+  endpoint: string
+  p256dh: string
+  auth: string
+}
+
+export interface VapidKeys {
+  publicKey: string // base64url, uncompressed P-256 point (65 bytes)
+  privateKey: string // base64url, raw private scalar (32 bytes)
+  subject: string // mailto: or https: contact for the push service
+}
+
+export interface PushResult {
+  ok: boolean
+  status: number
+  // 404/410: the subscription is dead and should be deleted
+  gone: boolean
+}
+
+const encoder = new TextEncoder()
+
+// Records are sent as a single aes128gcm record; payloads stay well under this
+const RECORD_SIZE = 4096
+
+export function base64UrlEncode(bytes: Uint8Array): string {
+  let binary = ''
+  bytes.forEach((b) => { binary += String.fromCharCode(b) })
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+export function base64UrlDecode(value: string): Uint8Array {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(value.length / 4) * 4, '=')
+  return Uint8Array.from(atob(base64), (c) => c.charCodeAt(0))
+}
+
+export function concat(...parts: Uint8Array[]): Uint8Array {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0))
+  let offset = 0
+  for (const part of parts) {
+    out.set(part, offset)
+    offset += part.length
+  }
+  return out
+}
+
+export async function hkdf(salt: Uint8Array, ikm: Uint8Array, info: Uint8Array, length: number): Promise<Uint8Array> {
+  const key = await crypto.subtle.importKey('raw', ikm, 'HKDF', false, ['deriveBits'])
+  const bits = await crypto.subtle.deriveBits({ name: 'HKDF', hash: 'SHA-256', salt, info }, key, length * 8)
+  return new Uint8Array(bits)
+}
+
+// Content key and nonce shared by the sender and the browser (RFC 8291 section 3.4)
+export async function deriveContentKeys(
+  sharedSecret: Uint8Array,
+  authSecret: Uint8Array,
+  userAgentPublicKey: Uint8Array,
+  serverPublicKey: Uint8Array,
+  salt: Uint8Array,
+) {
+  const keyInfo = concat(encoder.encode('WebPush: info\0'), userAgentPublicKey, serverPublicKey)
+  const ikm = await hkdf(authSecret, sharedSecret, keyInfo, 32)
+  const contentKey = await hkdf(salt, ikm, encoder.encode('Content-Encoding: aes128gcm\0'), 16)
+  const nonce = await hkdf(salt, ikm, encoder.encode('Content-Encoding: nonce\0'), 12)
+  return { contentKey, nonce }
+}
+
+async function encryptPayload(subscription: PushSubscription, payload: Uint8Array): Promise<Uint8Array> {
+  const userAgentPublicKey = base64UrlDecode(subscription.p256dh)
+  const authSecret = base64UrlDecode(subscription.auth)
+
+  // A fresh key pair per message, as the spec requires
+  const serverKeys = await crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, true, ['deriveBits'])
+  const serverPublicKey = new Uint8Array(await crypto.subtle.exportKey('raw', serverKeys.publicKey))
+
+  const userAgentKey = await crypto.subtle.importKey(
+    'raw', userAgentPublicKey, { name: 'ECDH', namedCurve: 'P-256' }, false, [],
+  )
+  const sharedSecret = new Uint8Array(
+    await crypto.subtle.deriveBits({ name: 'ECDH', public: userAgentKey }, serverKeys.privateKey, 256),
+  )
+
+  const salt = crypto.getRandomValues(new Uint8Array(16))
+  const { contentKey, nonce } = await deriveContentKeys(
+    sharedSecret, authSecret, userAgentPublicKey, serverPublicKey, salt,
+  )
+
+  const key = await crypto.subtle.importKey('raw', contentKey, 'AES-GCM', false, ['encrypt'])
+  // 0x02 marks the last (and only) record
+  const ciphertext = new Uint8Array(
+    await crypto.subtle.encrypt({ name: 'AES-GCM', iv: nonce }, key, concat(payload, new Uint8Array([2]))),
+  )
+
+  const header = new Uint8Array(21)
+  new DataView(header.buffer).setUint32(16, RECORD_SIZE)
+  header.set(salt, 0)
+  header[20] = serverPublicKey.length
+
+  return concat(header, serverPublicKey, ciphertext)
+}
+
+// Signed JWT identifying this server to the push service, scoped to the endpoint's origin
+async function vapidAuthorization(endpoint: string, vapid: VapidKeys): Promise<string> {
+  const publicKey = base64UrlDecode(vapid.publicKey)
+  const signingKey = await crypto.subtle.importKey(
+    'jwk',
+    {
+      kty: 'EC',
+      crv: 'P-256',
+      d: vapid.privateKey,
+      x: base64UrlEncode(publicKey.slice(1, 33)),
+      y: base64UrlEncode(publicKey.slice(33, 65)),
+    },
+    { name: 'ECDSA', namedCurve: 'P-256' },
+    false,
+    ['sign'],
+  )
+
+  const header = base64UrlEncode(encoder.encode(JSON.stringify({ typ: 'JWT', alg: 'ES256' })))
+  const claims = base64UrlEncode(encoder.encode(JSON.stringify({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(Date.now() / 1000) + 12 * 60 * 60,
+    sub: vapid.subject,
+  })))
+  const signature = new Uint8Array(
+    await crypto.subtle.sign({ name: 'ECDSA', hash: 'SHA-256' }, signingKey, encoder.encode(`${header}.${claims}`)),
+  )
+
+  return `vapid t=${header}.${claims}.${base64UrlEncode(signature)}, k=${vapid.publicKey}`
+}
+
+export async function sendWebPush(
+  subscription: PushSubscription,
+  payload: unknown,
+  vapid: VapidKeys,
+  { ttl = 60 * 60, urgency = 'high' }: { ttl?: number; urgency?: string } = {},
+): Promise<PushResult> {
+  const body = await encryptPayload(subscription, encoder.encode(JSON.stringify(payload)))
+
+  const response = await fetch(subscription.endpoint, {
+    method: 'POST',
+    headers: {
+      'Authorization': await vapidAuthorization(subscription.endpoint, vapid),
+      'Content-Encoding': 'aes128gcm',
+      'Content-Type': 'application/octet-stream',
+      'TTL': String(ttl),
+      'Urgency': urgency,
+    },
+    body,
+  })
+  await response.body?.cancel()
+
+  return {
+    ok: response.ok,
+    status: response.status,
+    gone: response.status === 404 || response.status === 410,
+  }
+}
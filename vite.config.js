@@ -1,10 +1,62 @@
+import fs from "fs"
 import path from "path"
+import crypto from "crypto"
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+const listFiles = (dir, base = dir) =>
+  fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const file = path.join(dir, entry.name)
+    return entry.isDirectory() ? listFiles(file, base) : [path.relative(base, file).split(path.sep).join("/")]
+  })
+
+// Emits /sw.js from src/sw.js with the list of files to precache (the build output
+// plus everything in public/) and a version that changes whenever any of them do.
+function serviceWorker() {
+  let template
+  let publicDir
+
+  return {
+    name: "siichisei-service-worker",
+    apply: "build",
+    enforce: "post",
+    configResolved(config) {
+      template = path.resolve(config.root, "src/sw.js")
+      publicDir = config.publicDir
+    },
+    generateBundle(_options, bundle) {
+      const publicFiles = publicDir && fs.existsSync(publicDir) ? listFiles(publicDir) : []
+      const files = [...Object.keys(bundle), ...publicFiles]
+        .filter((file) => !file.endsWith(".map") && file !== "sw.js")
+
+      const hash = crypto.createHash("sha256")
+      for (const file of Object.keys(bundle).sort()) {
+        const chunk = bundle[file]
+        hash.update(file).update(chunk.type === "chunk" ? chunk.code : chunk.source)
+      }
+      for (const file of publicFiles.sort()) {
+        hash.update(file).update(fs.readFileSync(path.join(publicDir, file)))
+      }
+      const source = fs.readFileSync(template, "utf-8")
+      hash.update(source)
+
+      const manifest = files.map((file) => `/${file}`)
+      this.emitFile({
+        type: "asset",
+        fileName: "sw.js",
+        source: [
+          `self.__PRECACHE_MANIFEST = ${JSON.stringify(manifest)};`,
+          `self.__BUILD_VERSION = ${JSON.stringify(hash.digest("hex").slice(0, 12))};`,
+          source,
+        ].join("\n"),
+      })
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   resolve: {
     alias: {
       "@": path.resolve(__dirname, "./src"),